@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+import {
+    listProjects, findProject, createProject, archiveProject, restoreProject, deleteProject, getProjectStatus, projectEnv,
+    defaultProjectsDir, PROJECT_CONFIG_FILENAME, SESSION_MODES,
+} from './projects.js';
+
+// --- Configuration ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const defaultConfigFile = 'move-shot.config.json'; // Looked up in the current directory
+dotenv.config();
+
+// Exit codes for scripting (the steps exit with 0, 1 or EXIT_PAGES_FAILED, as in ocr.js)
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_PAGES_FAILED = 3; // Finished, but some pages could not be OCR'd
+const EXIT_INTERRUPTED = 130;
+
+// Shared options: flag, the environment variable the scripts read, and the config file key (camelCase of the flag)
+const OPTIONS = {
+    dir: { env: 'SCREENSHOTS_DIR', path: true, help: 'Screenshots directory (capture output, OCR input)', value: 'DIR' },
+    url: { env: 'TARGET_URL', help: 'Page to capture', value: 'URL' },
+    profile: { env: 'PROFILE', help: 'Saved capture profile', value: 'NAME' },
+    headless: { env: 'HEADLESS', boolean: true, help: 'Capture without a browser window' },
+    'max-pages': { env: 'MAX_PAGES', help: 'Stop capturing after N pages', value: 'N' },
+    'control-port': { env: 'CONTROL_PORT', help: 'Port of the capture control API (off by default)', value: 'PORT' },
+    backend: { env: 'OCR_BACKEND', help: 'OCR backend: ollama, openai or tesseract', value: 'NAME' },
+    host: { env: 'OCR_HOST', help: 'OCR server URL', value: 'URL' },
+    model: { env: 'OCR_MODEL', help: 'OCR model (all steps)', value: 'NAME' },
+    prompt: { env: 'OCR_PROMPT', help: 'Prompt profile, e.g. kindle or textbook', value: 'NAME' },
+    pages: { env: 'PAGES', help: 'Pages to process, e.g. 1-20,25 (default all)', value: 'RANGES' },
+    'force-pages': { env: 'OCR_FORCE_PAGES', help: 'Pages to OCR again despite the cache, e.g. 3,7-9 or all', value: 'RANGES' },
+    concurrency: { env: 'OCR_CONCURRENCY', help: 'Pages sent to the OCR server at once', value: 'N' },
+    markdown: { env: 'OCR_OUTPUT', path: true, help: 'Markdown output file (default ./ocr.md)', value: 'FILE' },
+    report: { env: 'OCR_REPORT', path: true, help: 'OCR report file (default ./ocr-report.json)', value: 'FILE' },
+    pdf: { env: 'PDF_OUTPUT', path: true, help: 'PDF output file (default ./out.pdf)', value: 'FILE' },
+    epub: { env: 'EPUB_OUTPUT', path: true, help: 'EPUB output file (default ./out.epub)', value: 'FILE' },
+    html: { env: 'HTML_OUTPUT', path: true, help: 'HTML output file (default ./out.html)', value: 'FILE' },
+    outputs: { env: 'WATCH_OUTPUTS', help: 'What watch and live write: markdown, pdf or markdown,pdf', value: 'LIST' },
+};
+
+const CAPTURE_OPTIONS = ['dir', 'url', 'profile', 'headless', 'max-pages', 'control-port'];
+const OCR_OPTIONS = ['dir', 'backend', 'host', 'model', 'prompt', 'pages', 'force-pages', 'concurrency'];
+
+// Subcommands: the scripts they run, in order, and the options that apply to them
+const COMMANDS = {
+    capture: { scripts: ['move-shot.js'], options: CAPTURE_OPTIONS, help: 'Capture screenshots of a web reader' },
+    ocr: { scripts: ['ocr.js'], options: [...OCR_OPTIONS, 'markdown', 'report'], help: 'Transcribe the screenshots to Markdown' },
+    pdf: { scripts: ['pdf.js'], options: [...OCR_OPTIONS, 'pdf', 'report'], help: 'Create a searchable PDF from the screenshots' },
+    export: { scripts: ['export.js'], options: [...OCR_OPTIONS, 'epub', 'html', 'report'], help: 'Create an EPUB and/or HTML book from the screenshots' },
+    review: { scripts: ['review.js'], options: OCR_OPTIONS, help: 'Open the page review UI' },
+    watch: { scripts: ['watch.js'], options: [...OCR_OPTIONS, 'markdown', 'pdf', 'report', 'outputs'], help: 'OCR new screenshots while a capture is running' },
+    all: {
+        scripts: ['move-shot.js', 'ocr.js', 'pdf.js'],
+        options: [...new Set([...CAPTURE_OPTIONS, ...OCR_OPTIONS, 'markdown', 'pdf', 'report'])],
+        help: 'capture, then ocr, then pdf',
+    },
+    live: {
+        scripts: ['move-shot.js', 'watch.js'],
+        parallel: true,
+        options: [...new Set([...CAPTURE_OPTIONS, ...OCR_OPTIONS, 'markdown', 'pdf', 'report', 'outputs'])],
+        help: 'capture and watch at the same time',
+    },
+};
+
+// Actions of `node cli.js project`
+const PROJECT_ACTIONS = {
+    list: { help: 'List the projects and their progress' },
+    create: { help: 'Create a project; capture and OCR options given here become its settings' },
+    status: { help: 'Show pages captured, OCR\'d and exported (default: --project)' },
+    archive: { help: 'Move a project out of the list, keeping its files' },
+    restore: { help: 'Make an archived project active again' },
+    delete: { help: 'Delete a project with all its files (needs --yes)' },
+};
+
+/**
+ * Error in the command line or config file (exit code EXIT_USAGE).
+ */
+export class UsageError extends Error {}
+
+// --- Help ---
+
+function projectUsage() {
+    return [
+        'Usage: node cli.js project <action> [NAME] [options]',
+        '',
+        `Manage projects: folders in ${defaultProjectsDir} (PROJECTS_DIR) with their own screenshots, outputs, settings and browser session.`,
+        'Use one with "node cli.js <command> --project NAME".',
+        '',
+        'Actions:',
+        ...Object.entries(PROJECT_ACTIONS).map(([name, { help }]) => `  ${name.padEnd(26)}${help}`),
+        '',
+        'Options:',
+        `  --session MODE`.padEnd(28) + `create: ${SESSION_MODES.join(' or ')} browser session (default separate)`,
+        `  --yes`.padEnd(28) + 'delete: confirm',
+        '',
+        'create also takes the options of the other commands (see "node cli.js --help") and saves them',
+        `in the project's ${PROJECT_CONFIG_FILENAME}.`,
+    ].join('\n');
+}
+
+function usage(command) {
+    if (command === 'project') return projectUsage();
+    const commandHelp = COMMANDS[command];
+    const optionNames = commandHelp ? commandHelp.options : Object.keys(OPTIONS);
+    const optionLines = optionNames.map((name) => {
+        const { env, help, value } = OPTIONS[name];
+        return `  --${name}${value ? ` ${value}` : ''}`.padEnd(28) + `${help} [${env}]`;
+    });
+    return [
+        commandHelp ? `Usage: node cli.js ${command} [options]\n\n${commandHelp.help}.` : 'Usage: node cli.js <command> [options]',
+        ...(commandHelp ? [] : ['', 'Commands:', ...Object.entries(COMMANDS).map(([name, { help }]) => `  ${name.padEnd(26)}${help}`),
+            `  ${'project'.padEnd(26)}Manage projects: ${Object.keys(PROJECT_ACTIONS).join(', ')}`]),
+        '',
+        'Options:',
+        ...optionLines,
+        `  --project NAME`.padEnd(28) + 'Use a project\'s folders, settings and session [PROJECT]',
+        `  --set KEY=VALUE`.padEnd(28) + 'Any other setting from the README (repeatable)',
+        `  --config FILE`.padEnd(28) + `Config file (default ./${defaultConfigFile} if it exists) [CONFIG_FILE]`,
+        `  -h, --help`.padEnd(28) + 'Show this help',
+        '',
+        'Settings are taken from flags, then environment variables (and .env), then the project\'s config file, then the config file.',
+        `Exit codes: ${EXIT_OK} done, ${EXIT_ERROR} error, ${EXIT_USAGE} invalid command line or config file, ${EXIT_PAGES_FAILED} done but some pages failed OCR, ${EXIT_INTERRUPTED} interrupted.`,
+    ].join('\n');
+}
+
+// --- Settings Resolution (Exported) ---
+
+/**
+ * Reads a config file: option keys as in the flags (camelCase, e.g. "forcePages") and an optional
+ * "env" object with any other setting. Relative paths are resolved against the file's directory.
+ * @param {string} file - The config file.
+ * @returns {Record<string, string>} Environment variables set by the file.
+ * @throws {UsageError} If the file cannot be read or parsed, or has an unknown key.
+ */
+export function loadConfigFile(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new UsageError(`Could not read config file ${file}: ${error.message}`);
+    }
+    const env = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (key === 'env') continue;
+        const name = key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+        const option = OPTIONS[name];
+        if (!option) throw new UsageError(`Unknown key "${key}" in config file ${file}.`);
+        env[option.env] = option.path ? path.resolve(path.dirname(file), String(value)) : String(value);
+    }
+    for (const [name, value] of Object.entries(config.env || {})) {
+        env[name] = String(value);
+    }
+    return env;
+}
+
+/**
+ * Resolves the settings of a run: flags override environment variables, which override the project's
+ * config file, its folders and then the config file.
+ * @param {Record<string, string|boolean|string[]>} flags - Parsed command-line options.
+ * @param {NodeJS.ProcessEnv} [baseEnv=process.env] - The environment.
+ * @returns {NodeJS.ProcessEnv} The environment for the scripts.
+ * @throws {UsageError} If the project, the config file or a --set entry is invalid.
+ */
+export function resolveSettings(flags, baseEnv = process.env) {
+    const configFile = flags.config || baseEnv.CONFIG_FILE || (fs.existsSync(defaultConfigFile) ? defaultConfigFile : null);
+    const env = { ...(configFile ? loadConfigFile(path.resolve(configFile)) : {}) };
+
+    const projectName = flags.project || baseEnv.PROJECT;
+    if (projectName) {
+        let project;
+        try {
+            project = findProject(projectName);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        if (project.archived) throw new UsageError(`Project "${project.name}" is archived; restore it with "node cli.js project restore ${project.name}".`);
+        const folders = projectEnv(project);
+        const projectConfigFile = path.join(project.dir, PROJECT_CONFIG_FILENAME);
+        Object.assign(env, folders, fs.existsSync(projectConfigFile) ? loadConfigFile(projectConfigFile) : {});
+        // Most likely left over from working without projects, and would mix books
+        for (const name of Object.keys(folders).filter(name => baseEnv[name] !== undefined)) {
+            console.warn(`Warning: ${name} from the environment overrides the folder of project "${project.name}".`);
+        }
+    }
+    Object.assign(env, baseEnv);
+
+    for (const [name, option] of Object.entries(OPTIONS)) {
+        const value = flags[name];
+        if (value === undefined) continue;
+        env[option.env] = option.boolean ? '1' : option.path ? path.resolve(value) : value;
+    }
+    for (const entry of flags.set || []) {
+        const match = entry.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+        if (!match) throw new UsageError(`Invalid --set "${entry}" (expected KEY=VALUE).`);
+        env[match[1]] = match[2];
+    }
+    return env;
+}
+
+// --- Projects ---
+
+// Values of the given option flags and --set entries, in config file format
+function settingsFromFlags(flags) {
+    const settings = {};
+    for (const [name, option] of Object.entries(OPTIONS)) {
+        const value = flags[name];
+        if (value === undefined) continue;
+        const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        settings[key] = option.boolean ? true : option.path ? path.resolve(value) : value;
+    }
+    for (const entry of flags.set || []) {
+        const match = entry.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+        if (!match) throw new UsageError(`Invalid --set "${entry}" (expected KEY=VALUE).`);
+        settings.env = { ...settings.env, [match[1]]: match[2] };
+    }
+    return Object.keys(settings).length > 0 ? settings : null;
+}
+
+const formatTime = (iso) => iso ? iso.slice(0, 16).replace('T', ' ') : '-';
+
+function printProjectStatus(project) {
+    const status = getProjectStatus(project);
+    const { ocr } = status;
+    console.log(`Project ${project.name} (${project.archived ? `archived ${formatTime(project.archivedAt)}` : 'active'}, ${project.session} browser session)`);
+    console.log(`  Folder:    ${project.dir}`);
+    console.log(`  Captured:  ${status.captured} page(s)${status.captured > 0 ? `, last ${formatTime(status.lastCaptureAt)}` : ''}${status.captureRunning ? ' (capture running)' : ''}`);
+    const selection = ocr && ocr.pages !== 'all' ? `, PAGES=${ocr.pages}` : '';
+    console.log(`  OCR'd:     ${ocr ? `${ocr.succeeded} of ${ocr.total} page(s) in the last ocr run (${ocr.failed} failed${selection}), ${formatTime(ocr.finishedAt)}` : 'not yet'}`);
+    console.log(`  Reviewed:  ${status.corrected} page(s) corrected`);
+    for (const output of status.outputs) {
+        const state = !output.exists ? 'not created' : `${formatTime(output.modifiedAt)}${output.outdated ? ' (older than the last screenshot)' : ''}`;
+        console.log(`  ${output.file.padEnd(11)}${state}`);
+    }
+}
+
+function printProjectList() {
+    const projects = listProjects();
+    if (projects.length === 0) {
+        console.log(`No projects in ${defaultProjectsDir}. Create one with "node cli.js project create NAME".`);
+        return;
+    }
+    const rows = projects.map((project) => {
+        const status = getProjectStatus(project);
+        const outputs = status.outputs.filter(output => output.exists).map(output => `${output.file}${output.outdated ? '*' : ''}`);
+        return [
+            project.name,
+            project.archived ? 'archived' : status.captureRunning ? 'capturing' : 'active',
+            String(status.captured),
+            status.ocr ? `${status.ocr.succeeded}/${status.ocr.total}${status.ocr.pages !== 'all' ? ` (PAGES=${status.ocr.pages})` : ''}` : '-',
+            outputs.join(', ') || '-',
+        ];
+    });
+    const header = ['NAME', 'STATE', 'CAPTURED', 'OCR\'D', 'OUTPUTS'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    for (const row of [header, ...rows]) {
+        console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+    }
+    if (rows.some(row => row[4].includes('*'))) console.log('\n* older than the last screenshot');
+}
+
+/**
+ * Runs `node cli.js project <action> [NAME]`.
+ * @param {string[]} args - The action and its arguments.
+ * @param {Record<string, string|boolean|string[]>} flags - Parsed command-line options.
+ * @returns {number} The exit code.
+ * @throws {UsageError} If the action or its arguments are invalid.
+ */
+export function runProjectCommand([action, name, ...extra], flags) {
+    if (!PROJECT_ACTIONS[action]) {
+        throw new UsageError(action ? `Unknown project action "${action}" (expected ${Object.keys(PROJECT_ACTIONS).join(', ')}).` : 'Missing project action.');
+    }
+    if (extra.length > 0) throw new UsageError(`Unexpected argument "${extra[0]}".`);
+    if (action === 'list' && name) throw new UsageError(`Unexpected argument "${name}".`);
+    name = name || (action === 'status' ? flags.project || process.env.PROJECT : undefined);
+    if (!name && action !== 'list') throw new UsageError(`Missing project name: node cli.js project ${action} NAME.`);
+    if (flags.session !== undefined && action !== 'create') throw new UsageError('--session only applies to "project create".');
+    if (action !== 'create' && settingsFromFlags(flags)) throw new UsageError(`Options are only saved by "project create"; edit the project's ${PROJECT_CONFIG_FILENAME} to change them.`);
+
+    try {
+        if (action === 'list') {
+            printProjectList();
+        } else if (action === 'status') {
+            printProjectStatus(findProject(name));
+        } else if (action === 'create') {
+            const project = createProject(name, { session: flags.session, settings: settingsFromFlags(flags) });
+            console.log(`Created project ${project.name} in ${project.dir} (${project.session} browser session).`);
+            console.log(`Capture into it with "node cli.js capture --project ${project.name}".`);
+        } else if (action === 'archive') {
+            const project = archiveProject(name);
+            console.log(`Archived project ${project.name} to ${project.dir}. Restore it with "node cli.js project restore ${project.name}".`);
+        } else if (action === 'restore') {
+            console.log(`Restored project ${restoreProject(name).name}.`);
+        } else if (action === 'delete') {
+            const project = findProject(name);
+            if (!flags.yes) {
+                throw new UsageError(`This deletes ${project.dir} with all its screenshots, outputs and settings. Run again with --yes to confirm.`);
+            }
+            deleteProject(name);
+            console.log(`Deleted project ${project.name}.`);
+        }
+    } catch (error) {
+        if (error instanceof UsageError) throw error;
+        console.error(`Error: ${error.message}`);
+        return EXIT_ERROR;
+    }
+    return EXIT_OK;
+}
+
+// --- Running the Steps ---
+
+// Starts one script as a child process; `exited` resolves with its exit code, `child` gives its piped streams
+function startScript(script, env, stdio = 'inherit') {
+    const child = spawn(process.execPath, [path.join(__dirname, script)], { env, stdio });
+    const exited = new Promise((resolve) => {
+        child.on('error', (error) => {
+            console.error(`Could not start ${script}: ${error.message}`);
+            resolve(EXIT_ERROR);
+        });
+        child.on('exit', (code, signal) => resolve(signal ? EXIT_INTERRUPTED : code));
+    });
+    return { pid: child.pid, child, exited };
+}
+
+// Combined exit code of steps that all ran: the first failure, else EXIT_PAGES_FAILED if any step had failed pages
+function combineExitCodes(codes) {
+    return codes.find(code => code !== EXIT_OK && code !== EXIT_PAGES_FAILED)
+        ?? (codes.includes(EXIT_PAGES_FAILED) ? EXIT_PAGES_FAILED : EXIT_OK);
+}
+
+// Capture and watch.js side by side: the watcher follows the capture process and finishes when it ends
+// (only the capture reads the terminal, for its interactive prompts). The capture's output is piped
+// through the watcher, which prints it above its status line.
+async function runLive(env) {
+    const capture = startScript('move-shot.js', env, ['inherit', 'pipe', 'inherit']);
+    const watcher = startScript('watch.js', {
+        ...env,
+        WATCH_CAPTURE_PID: String(capture.pid ?? ''),
+        WATCH_CAPTURE_OUTPUT: '1',
+    }, ['pipe', 'inherit', 'inherit']);
+    capture.child.stdout?.pipe(watcher.child.stdin);
+    // A watcher that ends first (e.g. on invalid settings) hands the capture's output back to the terminal
+    watcher.child.stdin?.on('error', () => {});
+    watcher.exited.then(() => {
+        capture.child.stdout?.unpipe();
+        capture.child.stdout?.pipe(process.stdout);
+    });
+    return combineExitCodes(await Promise.all([capture.exited, watcher.exited]));
+}
+
+/**
+ * Runs a subcommand's scripts in order (`live`: side by side). A step that fails stops the run;
+ * a step that finished with failed pages does not, but its exit code is kept.
+ * @param {string} command - One of COMMANDS.
+ * @param {NodeJS.ProcessEnv} env - The environment for the scripts.
+ * @returns {Promise<number>} The exit code.
+ */
+export async function runCommand(command, env) {
+    if (COMMANDS[command].parallel) return runLive(env);
+    let exitCode = EXIT_OK;
+    for (const script of COMMANDS[command].scripts) {
+        if (COMMANDS[command].scripts.length > 1) console.log(`\n=== ${command}: running ${script} ===\n`);
+        const code = await startScript(script, env).exited;
+        if (code === EXIT_PAGES_FAILED) {
+            exitCode = code;
+        } else if (code !== EXIT_OK) {
+            if (COMMANDS[command].scripts.length > 1) console.error(`\n${script} exited with code ${code}; stopping.`);
+            return code;
+        }
+    }
+    return exitCode;
+}
+
+// --- Standalone Execution ---
+const isMainScript = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename);
+
+if (isMainScript) {
+    // The steps handle Ctrl+C themselves (capture stops gracefully); the CLI just waits for them
+    process.on('SIGINT', () => {});
+
+    try {
+        const { values: flags, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                ...Object.fromEntries(Object.entries(OPTIONS).map(([name, option]) => [name, { type: option.boolean ? 'boolean' : 'string' }])),
+                set: { type: 'string', multiple: true },
+                config: { type: 'string' },
+                project: { type: 'string' },
+                session: { type: 'string' },
+                yes: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' },
+            },
+        });
+        const [command, ...extra] = positionals;
+
+        if (flags.help || !command) {
+            console.log(usage(command));
+            process.exitCode = flags.help ? EXIT_OK : EXIT_USAGE;
+        } else if (command === 'project') {
+            process.exitCode = runProjectCommand(extra, flags);
+        } else if (!COMMANDS[command]) {
+            throw new UsageError(`Unknown command "${command}" (expected ${[...Object.keys(COMMANDS), 'project'].join(', ')}).`);
+        } else if (extra.length > 0) {
+            throw new UsageError(`Unexpected argument "${extra[0]}".`);
+        } else {
+            const ignored = [...Object.keys(OPTIONS), 'session', 'yes'].filter(name => flags[name] !== undefined && !COMMANDS[command].options.includes(name));
+            if (ignored.length > 0) console.warn(`Warning: ${ignored.map(name => `--${name}`).join(', ')} not used by ${command}.`);
+            process.exitCode = await runCommand(command, resolveSettings(flags));
+        }
+    } catch (error) {
+        if (!(error instanceof UsageError) && !error.code?.startsWith('ERR_PARSE_ARGS')) throw error;
+        console.error(`Error: ${error.message}\nRun "node cli.js --help" for usage.`);
+        process.exitCode = EXIT_USAGE;
+    }
+}
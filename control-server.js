@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+/**
+ * Creates an error that is sent to the client with the given HTTP status.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+// Also for body-less requests like /pause: a web page can send a text/plain POST here without a CORS preflight
+async function readJsonBody(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') throw httpError(415, 'Content-Type must be application/json');
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) throw httpError(413, 'Request body too large');
+    }
+    try {
+        return JSON.parse(body || '{}');
+    } catch {
+        throw httpError(400, 'Request body is not valid JSON');
+    }
+}
+
+// Token from "Authorization: Bearer <token>" or ?token=<token>, compared in constant time
+function isAuthorized(req, url, token) {
+    if (!token) return true;
+    const header = req.headers.authorization || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '');
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Checks the control API settings.
+ * @param {{host: string, port: number, token: string}} options - The settings.
+ * @throws {Error} If the port is invalid, or the API would listen beyond this machine without a token.
+ */
+function validateControlSettings({ host, port, token }) {
+    if (isNaN(port) || port < 1 || port > 65535) throw new Error('CONTROL_PORT must be a port number.');
+    if (!LOOPBACK_HOSTS.includes(host) && !token) {
+        throw new Error(`CONTROL_TOKEN is required when the control API listens on ${host} (reachable from other machines).`);
+    }
+}
+
+/**
+ * Starts the HTTP control API of a capture run.
+ * Routes: GET /status, GET /thumbnail, POST /pause, /resume, /stop, /step, /click, /key and PATCH /settings.
+ * Every handler returns the JSON response (or, for thumbnail, a JPEG buffer or null) and may throw
+ * errors made with httpError.
+ * @param {{host: string, port: number, token: string}} options - Where to listen, and the bearer token (empty for none).
+ * @param {Object<string, (body: object) => any>} handlers - status, thumbnail, pause, resume, stop, step, click, key and settings.
+ * @returns {Promise<http.Server>} The server, once it is listening.
+ */
+function startControlServer({ host, port, token }, handlers) {
+    const routes = {
+        'GET /status': handlers.status,
+        'POST /pause': handlers.pause,
+        'POST /resume': handlers.resume,
+        'POST /stop': handlers.stop,
+        'POST /step': handlers.step,
+        'POST /click': handlers.click,
+        'POST /key': handlers.key,
+        'PATCH /settings': handlers.settings,
+    };
+
+    const handleRequest = async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        if (!isAuthorized(req, url, token)) throw httpError(401, 'Missing or wrong token');
+
+        if (req.method === 'GET' && url.pathname === '/thumbnail') {
+            const image = await handlers.thumbnail();
+            if (!image) throw httpError(404, 'No screenshot yet');
+            res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Cache-Control': 'no-store' });
+            res.end(image);
+            return;
+        }
+        const route = routes[`${req.method} ${url.pathname}`];
+        if (!route) throw httpError(404, 'Not found');
+        const body = req.method === 'GET' ? {} : await readJsonBody(req);
+        sendJson(res, 200, await route(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            if (!error.status) console.error(`Control API ${req.method} ${req.url}: ${error.message}`);
+            if (!res.headersSent) sendJson(res, error.status || 500, { error: error.message });
+            else res.end();
+        });
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            console.log(`Control API listening on http://${host}:${port}/ (${token ? 'token required' : 'no token'}).`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    httpError,
+    validateControlSettings,
+    startControlServer,
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// Reviewed page texts live next to the screenshots they belong to
+const CORRECTIONS_FILENAME = 'corrections.json';
+
+/**
+ * Returns the corrections file path for a screenshots directory.
+ * @param {string} dir - The screenshots directory.
+ * @returns {string} The corrections file path.
+ */
+function correctionsPath(dir) {
+    return path.join(dir, CORRECTIONS_FILENAME);
+}
+
+/**
+ * Reads the reviewed page texts of a screenshots directory.
+ * @param {string} dir - The screenshots directory.
+ * @returns {{version: number, pages: Object<string, {text: string, hash: string, updatedAt: string}>}} Corrections keyed by image filename (empty if none exist yet).
+ * @throws {Error} If the file exists but cannot be parsed.
+ */
+function loadCorrections(dir) {
+    const file = correctionsPath(dir);
+    if (!fs.existsSync(file)) return { version: 1, pages: {} };
+    try {
+        const corrections = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        corrections.pages = corrections.pages || {};
+        return corrections;
+    } catch (error) {
+        throw new Error(`Could not parse corrections ${file}: ${error.message}`);
+    }
+}
+
+// Writes atomically (temp file + rename), like the manifest
+function saveCorrections(dir, corrections) {
+    const file = correctionsPath(dir);
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(corrections, null, 2) + '\n');
+    fs.renameSync(tempFile, file);
+}
+
+/**
+ * Stores the reviewed text of a page and saves the file.
+ * @param {string} dir - The screenshots directory.
+ * @param {string} filename - The image filename.
+ * @param {string} text - The corrected text.
+ * @param {string} hash - Content hash of the image the text was checked against.
+ * @returns {object} The stored entry.
+ */
+function saveCorrection(dir, filename, text, hash) {
+    const corrections = loadCorrections(dir);
+    const entry = { text, hash, updatedAt: new Date().toISOString() };
+    corrections.pages[filename] = entry;
+    saveCorrections(dir, corrections);
+    return entry;
+}
+
+/**
+ * Removes the reviewed text of a page, so OCR results are used again.
+ * @param {string} dir - The screenshots directory.
+ * @param {string} filename - The image filename.
+ * @returns {boolean} True if there was a correction.
+ */
+function removeCorrection(dir, filename) {
+    const corrections = loadCorrections(dir);
+    if (!corrections.pages[filename]) return false;
+    delete corrections.pages[filename];
+    saveCorrections(dir, corrections);
+    return true;
+}
+
+/**
+ * Looks up the reviewed text of a page. A correction only applies to the exact image it was made
+ * for, so re-captured or re-cropped pages are OCR'd again.
+ * @param {{pages: object}} corrections - From loadCorrections.
+ * @param {string} filename - The image filename.
+ * @param {string} hash - Content hash of the current image.
+ * @returns {object|null} The entry, or null if there is none for this image.
+ */
+function findCorrection(corrections, filename, hash) {
+    const entry = corrections.pages[filename];
+    return entry && entry.hash === hash ? entry : null;
+}
+
+module.exports = {
+    CORRECTIONS_FILENAME,
+    correctionsPath,
+    loadCorrections,
+    saveCorrection,
+    removeCorrection,
+    findCorrection,
+};
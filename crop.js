@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { hashImage, parseClip, cropScreenshot } = require('./image-utils');
+const { loadManifest, saveManifest, orderPageFiles } = require('./manifest');
+const { parseFlag } = require('./profiles');
+
+// --- Configuration ---
+const inputDir = process.env.INPUT_DIR || process.env.SCREENSHOTS_DIR || process.env.OUTPUT_DIR || path.join(__dirname, 'screenshots');
+const cropOutputDir = process.env.CROP_OUTPUT_DIR || `${inputDir.replace(/[\\/]+$/, '')}-cropped`;
+const clipSetting = process.env.CROP_CLIP; // "x,y,width,height" in image pixels
+const trimMargins = parseFlag(process.env.TRIM_MARGINS ?? false);
+const trimThreshold = parseInt(process.env.TRIM_THRESHOLD ?? '10', 10);
+const splitSpread = parseFlag(process.env.SPLIT_SPREAD ?? false);
+
+// --- Input Validation ---
+let clip = null;
+if (clipSetting) {
+    try {
+        clip = parseClip(clipSetting);
+    } catch (error) {
+        console.error(`Error: CROP_CLIP is invalid. ${error.message}`);
+        process.exit(1);
+    }
+}
+if (isNaN(trimThreshold) || trimThreshold < 0) {
+    console.error('Error: TRIM_THRESHOLD must be a non-negative number.');
+    process.exit(1);
+}
+if (!clip && !trimMargins && !splitSpread) {
+    console.error('Error: Nothing to do. Set CROP_CLIP, TRIM_MARGINS=1 and/or SPLIT_SPREAD=1.');
+    process.exit(1);
+}
+if (path.resolve(inputDir) === path.resolve(cropOutputDir)) {
+    console.error('Error: CROP_OUTPUT_DIR must differ from the input directory.');
+    process.exit(1);
+}
+
+// --- Main Async Function ---
+(async () => {
+    try {
+        if (!fs.existsSync(inputDir)) {
+            throw new Error(`Input directory not found at ${inputDir}`);
+        }
+        const pngFiles = fs.readdirSync(inputDir).filter(file => file.toLowerCase().endsWith('.png'));
+        const sourceManifest = loadManifest(inputDir);
+        const { ordered } = orderPageFiles(pngFiles, sourceManifest);
+        if (ordered.length === 0) {
+            throw new Error(`No .png files found in ${inputDir}`);
+        }
+
+        fs.mkdirSync(cropOutputDir, { recursive: true });
+        console.log(`Cropping ${ordered.length} screenshot(s) from ${inputDir} into ${cropOutputDir}...`);
+
+        // Output pages are renumbered, since splitting spreads turns one file into two
+        const manifest = { version: 1, pages: [] };
+        let nextIndex = 1;
+        for (const filename of ordered) {
+            const source = sourceManifest.pages.find(page => page.filename === filename) || {};
+            const pages = await cropScreenshot(fs.readFileSync(path.join(inputDir, filename)), {
+                clip,
+                trim: trimMargins,
+                trimThreshold,
+                split: splitSpread,
+            });
+
+            for (const { buffer, part } of pages) {
+                const outputFilename = `${nextIndex}.png`;
+                fs.writeFileSync(path.join(cropOutputDir, outputFilename), buffer);
+                manifest.pages.push({
+                    ...source,
+                    index: nextIndex,
+                    filename: outputFilename,
+                    hash: hashImage(buffer),
+                    source: filename,
+                    ...(part ? { part } : {}),
+                });
+                nextIndex++;
+            }
+            console.log(`  - ${filename} -> ${pages.length} page(s)`);
+        }
+
+        saveManifest(cropOutputDir, manifest);
+        console.log(`\nDone. ${manifest.pages.length} page(s) written to ${cropOutputDir}.`);
+
+        // Pages left from an earlier run with more pages would be read as extra pages by ocr.js and pdf.js
+        const written = new Set(manifest.pages.map(entry => entry.filename));
+        const stale = fs.readdirSync(cropOutputDir).filter(file => /^\d+\.png$/i.test(file) && !written.has(file));
+        for (const file of stale) fs.unlinkSync(path.join(cropOutputDir, file));
+        if (stale.length > 0) console.log(`Removed ${stale.length} cropped page(s) left from an earlier run.`);
+    } catch (error) {
+        console.error('\nAn error occurred while cropping:', error.message);
+        process.exitCode = 1;
+    }
+})();
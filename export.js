@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JSZip from 'jszip';
+import { Marked } from 'marked';
+import { compressImage } from './image-utils.js';
+import { parseFlag } from './profiles.js';
+import { cleanupPages, getCleanupOptions } from './text-cleanup.js';
+
+// Import reusable functions from ocr.js
+import { getScreenshotFiles, runOcrJobs, parsePageRanges, validateOcrSettings, getOcrDefaults, EXIT_PAGES_FAILED } from './ocr.js';
+
+// --- Configuration ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const epubOutputFile = path.resolve(process.env.EPUB_OUTPUT || path.join(__dirname, 'out.epub'));
+const htmlOutputFile = path.resolve(process.env.HTML_OUTPUT || path.join(__dirname, 'out.html'));
+const EXPORT_FORMATS = ['epub', 'html'];
+const exportFormats = (process.env.EXPORT_FORMATS || EXPORT_FORMATS.join(',')).split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+const bookTitle = process.env.BOOK_TITLE || 'Untitled';
+const bookAuthor = process.env.BOOK_AUTHOR || '';
+const bookLanguage = process.env.BOOK_LANGUAGE || 'en';
+// Cover image: the first screenshot
+const includeCover = parseFlag(process.env.EXPORT_COVER ?? true);
+
+const stylesheet = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2, h3 { line-height: 1.2; page-break-after: avoid; }
+p { margin: 0; text-indent: 1.5em; }
+h1 + p, h2 + p, h3 + p, hr + p { text-indent: 0; }
+img.cover { display: block; max-width: 100%; max-height: 100vh; margin: 0 auto; }
+`;
+
+// Markdown renderer; raw HTML in the OCR text is shown as text, since it would break the XHTML
+const markdown = new Marked({
+    gfm: true,
+    renderer: {
+        html: ({ text }) => escapeXml(text),
+    },
+});
+
+// --- Text Assembly (Exported) ---
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Splits a Markdown document into chapters at its top-level headings (the highest heading level
+ * that occurs). Text before the first heading becomes a first chapter named after the book.
+ * @param {string} markdownText - The whole book.
+ * @returns {{title: string, markdown: string}[]} The chapters in order.
+ */
+export function splitChapters(markdownText) {
+    const lines = markdownText.split('\n');
+    let inFence = false;
+    const headings = [];
+    lines.forEach((line, i) => {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        const match = !inFence && line.match(HEADING_PATTERN);
+        if (match) headings.push({ line: i, level: match[1].length, title: match[2].replace(/[*_`]+/g, '').trim() });
+    });
+
+    if (headings.length === 0) return [{ title: bookTitle, markdown: markdownText }];
+    const chapterLevel = Math.min(...headings.map(heading => heading.level));
+    const starts = headings.filter(heading => heading.level === chapterLevel);
+
+    const chapters = [];
+    const preface = lines.slice(0, starts[0].line).join('\n').trim();
+    if (preface) chapters.push({ title: bookTitle, markdown: preface });
+    starts.forEach((start, i) => {
+        const end = i + 1 < starts.length ? starts[i + 1].line : lines.length;
+        chapters.push({ title: start.title || `Chapter ${chapters.length + 1}`, markdown: lines.slice(start.line, end).join('\n').trim() });
+    });
+    return chapters;
+}
+
+// Renders Markdown as XHTML (void elements self-closed, so it is valid in EPUB content documents)
+function renderXhtml(markdownText) {
+    return markdown.parse(markdownText)
+        .replace(/<(br|hr|img|input)\b([^>]*?)\s*\/?>/g, '<$1$2 />')
+        .replace(/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;'); // XML knows no named entities like &nbsp;
+}
+
+// --- Output Builders (Exported) ---
+
+/**
+ * Builds an EPUB 3 book (with an NCX table of contents for EPUB 2 readers).
+ * @param {object} book
+ * @param {{title: string, markdown: string}[]} book.chapters - Chapters in reading order.
+ * @param {{title: string, author: string, language: string}} book.metadata - Book metadata.
+ * @param {Buffer|null} [book.cover] - Cover image (JPEG).
+ * @returns {Promise<Buffer>} The EPUB file.
+ */
+export async function buildEpub({ chapters, metadata, cover = null }) {
+    const { title, author, language } = metadata;
+    // Stable identifier: the same text and metadata give the same book id
+    const hash = crypto.createHash('sha256').update(JSON.stringify({ metadata, chapters })).digest('hex');
+    const identifier = `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const files = chapters.map((chapter, i) => ({ ...chapter, id: `chapter-${String(i + 1).padStart(3, '0')}` }));
+
+    const xhtmlPage = (pageTitle, body) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+<title>${escapeXml(pageTitle)}</title>
+<link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+    const zip = new JSZip();
+    // The mimetype entry must come first and be stored uncompressed
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`);
+    zip.file('OEBPS/style.css', stylesheet);
+
+    for (const file of files) {
+        zip.file(`OEBPS/${file.id}.xhtml`, xhtmlPage(file.title, renderXhtml(file.markdown)));
+    }
+    if (cover) {
+        zip.file('OEBPS/images/cover.jpg', cover);
+        zip.file('OEBPS/cover.xhtml', xhtmlPage(title, '<section epub:type="cover"><img class="cover" src="images/cover.jpg" alt="Cover" /></section>'));
+    }
+
+    const tocItems = files.map(file => `      <li><a href="${file.id}.xhtml">${escapeXml(file.title)}</a></li>`).join('\n');
+    zip.file('OEBPS/nav.xhtml', xhtmlPage(title, `<nav epub:type="toc" id="toc">
+  <h1>Contents</h1>
+  <ol>
+${tocItems}
+  </ol>
+</nav>`));
+
+    const navPoints = files.map((file, i) => `    <navPoint id="nav-${i + 1}" playOrder="${i + 1}">
+      <navLabel><text>${escapeXml(file.title)}</text></navLabel>
+      <content src="${file.id}.xhtml" />
+    </navPoint>`).join('\n');
+    zip.file('OEBPS/toc.ncx', `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${identifier}" />
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${navPoints}
+  </navMap>
+</ncx>
+`);
+
+    const manifestItems = [
+        '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+        '    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml" />',
+        '    <item id="style" href="style.css" media-type="text/css" />',
+        ...(cover ? [
+            '    <item id="cover-image" href="images/cover.jpg" media-type="image/jpeg" properties="cover-image" />',
+            '    <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml" />',
+        ] : []),
+        ...files.map(file => `    <item id="${file.id}" href="${file.id}.xhtml" media-type="application/xhtml+xml" />`),
+    ];
+    const spineItems = [
+        ...(cover ? ['    <itemref idref="cover" />'] : []),
+        ...files.map(file => `    <itemref idref="${file.id}" />`),
+    ];
+    zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${identifier}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+${author ? `    <dc:creator>${escapeXml(author)}</dc:creator>\n` : ''}    <dc:language>${escapeXml(language)}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+${cover ? '    <meta name="cover" content="cover-image" />\n' : ''}  </metadata>
+  <manifest>
+${manifestItems.join('\n')}
+  </manifest>
+  <spine toc="ncx">
+${spineItems.join('\n')}
+  </spine>
+</package>
+`);
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+}
+
+/**
+ * Builds a single self-contained HTML file (the cover is inlined as a data URL).
+ * @param {object} book - Same as for buildEpub.
+ * @returns {string} The HTML document.
+ */
+export function buildHtml({ chapters, metadata, cover = null }) {
+    const { title, author, language } = metadata;
+    const toc = chapters.map((chapter, i) => `    <li><a href="#chapter-${i + 1}">${escapeXml(chapter.title)}</a></li>`).join('\n');
+    const sections = chapters.map((chapter, i) => `<section id="chapter-${i + 1}">\n${renderXhtml(chapter.markdown)}</section>`).join('\n');
+    return `<!DOCTYPE html>
+<html lang="${escapeXml(language)}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeXml(title)}</title>
+${author ? `<meta name="author" content="${escapeXml(author)}" />\n` : ''}<style>
+${stylesheet}</style>
+</head>
+<body>
+${cover ? `<img class="cover" src="data:image/jpeg;base64,${cover.toString('base64')}" alt="Cover" />\n` : ''}<nav>
+  <h1>${escapeXml(title)}</h1>
+${author ? `  <p>${escapeXml(author)}</p>\n` : ''}  <ol>
+${toc}
+  </ol>
+</nav>
+${sections}
+</body>
+</html>
+`;
+}
+
+// --- Main Export Function (Exported) ---
+
+/**
+ * OCRs the screenshots and writes the EPUB and/or HTML book. Sets process.exitCode to 1 on errors
+ * and to EXIT_PAGES_FAILED when pages were left out because their OCR failed.
+ * @returns {Promise<void>}
+ */
+export async function exportBook() {
+    console.log(`Starting export (${exportFormats.join(', ')}) of "${bookTitle}"`);
+
+    let isForcedPage;
+    let cleanupOptions;
+    try {
+        const unknown = exportFormats.filter(format => !EXPORT_FORMATS.includes(format));
+        if (exportFormats.length === 0 || unknown.length > 0) {
+            throw new Error(`EXPORT_FORMATS must list ${EXPORT_FORMATS.join(' and/or ')} (got '${exportFormats.join(',')}').`);
+        }
+        validateOcrSettings();
+        isForcedPage = parsePageRanges(process.env.OCR_FORCE_PAGES);
+        cleanupOptions = getCleanupOptions();
+    } catch (error) {
+        console.error('Configuration error:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    let screenshotFiles;
+    try {
+        screenshotFiles = await getScreenshotFiles();
+    } catch (error) {
+        console.error("Error getting screenshot files:", error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        // Same model and prompt as ocr.js, so pages it already transcribed come from the cache
+        const { results } = await runOcrJobs(screenshotFiles, { isForcedPage });
+        const failed = results.filter(result => result.text === null);
+        if (failed.length > 0) {
+            console.warn(`Warning: ${failed.length} page(s) have no text and are left out: ${failed.map(result => result.filename).join(', ')}`);
+        }
+
+        // Same cleanup as ocr.md: running headers removed, paragraphs and words mended across page breaks
+        const { markdown: bookText } = cleanupPages(results.map(result => result.text), cleanupOptions);
+        const chapters = splitChapters(bookText);
+        if (chapters.length === 1 && !chapters[0].markdown.trim()) {
+            throw new Error('No text to export.');
+        }
+        console.log(`Detected ${chapters.length} chapter(s): ${chapters.map(chapter => chapter.title).slice(0, 10).join(' | ')}${chapters.length > 10 ? ' | ...' : ''}`);
+
+        let cover = null;
+        if (includeCover) {
+            const firstPage = await fs.readFile(path.join(getOcrDefaults().screenshotsDir, screenshotFiles[0]));
+            ({ buffer: cover } = await compressImage(firstPage, { format: 'jpeg', quality: 85 }));
+        }
+
+        const book = { chapters, metadata: { title: bookTitle, author: bookAuthor, language: bookLanguage }, cover };
+        if (exportFormats.includes('epub')) {
+            await fs.mkdir(path.dirname(epubOutputFile), { recursive: true });
+            await fs.writeFile(epubOutputFile, await buildEpub(book));
+            console.log(`EPUB written to ${epubOutputFile}`);
+        }
+        if (exportFormats.includes('html')) {
+            await fs.mkdir(path.dirname(htmlOutputFile), { recursive: true });
+            await fs.writeFile(htmlOutputFile, buildHtml(book));
+            console.log(`HTML written to ${htmlOutputFile}`);
+        }
+        if (failed.length > 0) process.exitCode = EXIT_PAGES_FAILED;
+    } catch (error) {
+        console.error('\nAn error occurred during export:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+// --- Standalone Execution Check ---
+const isMainScript = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename);
+
+if (isMainScript) {
+    exportBook();
+}
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Side length of the grayscale thumbnails used for perceptual comparison.
+const COMPARE_SIZE = 64;
+
+/**
+ * Computes a SHA-256 content hash of an image buffer.
+ * @param {Buffer} buffer - The encoded image bytes.
+ * @returns {string} The hex digest.
+ */
+function hashImage(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Measures how different two images look, from 0 (identical) to 1 (inverted).
+ * Both images are reduced to small grayscale thumbnails first, so anti-aliasing
+ * noise or a blinking cursor barely moves the score while a new page of text does.
+ * @param {Buffer} bufferA - The first encoded image.
+ * @param {Buffer} bufferB - The second encoded image.
+ * @returns {Promise<number>} The mean absolute pixel difference, normalised to 0..1.
+ */
+async function imageDifference(bufferA, bufferB) {
+    const [pixelsA, pixelsB] = await Promise.all([bufferA, bufferB].map(buffer =>
+        sharp(buffer)
+            .resize(COMPARE_SIZE, COMPARE_SIZE, { fit: 'fill' })
+            .grayscale()
+            .raw()
+            .toBuffer()
+    ));
+
+    let total = 0;
+    for (let i = 0; i < pixelsA.length; i++) {
+        total += Math.abs(pixelsA[i] - pixelsB[i]);
+    }
+    return total / (pixelsA.length * 255);
+}
+
+/**
+ * Decides whether two screenshots show the same content.
+ * @param {Buffer|null} bufferA - The first encoded image (null never matches).
+ * @param {Buffer|null} bufferB - The second encoded image (null never matches).
+ * @param {number} [tolerance=0] - Maximum difference (0..1) still treated as identical. 0 means byte-identical only.
+ * @returns {Promise<boolean>} True if the images are considered the same.
+ */
+async function isSameImage(bufferA, bufferB, tolerance = 0) {
+    if (!bufferA || !bufferB) return false;
+    if (hashImage(bufferA) === hashImage(bufferB)) return true;
+    if (tolerance <= 0) return false;
+    return (await imageDifference(bufferA, bufferB)) <= tolerance;
+}
+
+// --- Cropping ---
+
+/**
+ * Parses a clip rectangle written as "x,y,width,height".
+ * @param {string} value - The raw setting.
+ * @returns {{x: number, y: number, width: number, height: number}} The rectangle.
+ * @throws {Error} If the value doesn't have four non-negative numbers and a positive size.
+ */
+function parseClip(value) {
+    const parts = String(value).split(',').map(part => parseInt(part.trim(), 10));
+    const [x, y, width, height] = parts;
+    if (parts.length !== 4 || parts.some(isNaN) || x < 0 || y < 0 || width <= 0 || height <= 0) {
+        throw new Error(`Invalid clip "${value}" (expected x,y,width,height)`);
+    }
+    return { x, y, width, height };
+}
+
+/**
+ * Cuts a rectangle out of an image, clamped to the image bounds.
+ * @param {Buffer} buffer - The encoded image.
+ * @param {{x: number, y: number, width: number, height: number}} clip - The rectangle in image pixels.
+ * @returns {Promise<Buffer>} The cropped PNG.
+ */
+async function clipImage(buffer, clip) {
+    const { width, height } = await sharp(buffer).metadata();
+    const left = Math.min(clip.x, width - 1);
+    const top = Math.min(clip.y, height - 1);
+    return sharp(buffer)
+        .extract({ left, top, width: Math.min(clip.width, width - left), height: Math.min(clip.height, height - top) })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Removes uniform margins (any colour matching the top-left pixel) around the content.
+ * @param {Buffer} buffer - The encoded image.
+ * @param {number} [threshold=10] - Allowed colour difference from the margin colour.
+ * @returns {Promise<Buffer>} The trimmed PNG (the original if nothing could be trimmed).
+ */
+async function trimMargins(buffer, threshold = 10) {
+    try {
+        return await sharp(buffer).trim({ threshold }).png().toBuffer();
+    } catch {
+        return buffer; // Blank images have nothing to trim
+    }
+}
+
+/**
+ * Splits a two-page spread down the middle.
+ * @param {Buffer} buffer - The encoded image.
+ * @returns {Promise<[Buffer, Buffer]>} The left and right page PNGs.
+ */
+async function splitSpread(buffer) {
+    const { width, height } = await sharp(buffer).metadata();
+    const half = Math.floor(width / 2);
+    return Promise.all([
+        sharp(buffer).extract({ left: 0, top: 0, width: half, height }).png().toBuffer(),
+        sharp(buffer).extract({ left: half, top: 0, width: width - half, height }).png().toBuffer(),
+    ]);
+}
+
+/**
+ * Applies the cropping options to one screenshot, in order: clip, trim, split (each half trimmed again).
+ * @param {Buffer} buffer - The encoded screenshot.
+ * @param {object} [options]
+ * @param {{x: number, y: number, width: number, height: number}|null} [options.clip] - Rectangle to keep, in image pixels.
+ * @param {boolean} [options.trim] - Remove uniform margins.
+ * @param {number} [options.trimThreshold] - Colour tolerance for trimming.
+ * @param {boolean} [options.split] - Split a two-page spread into left and right pages.
+ * @returns {Promise<{buffer: Buffer, part: string|null}[]>} The resulting page images in reading order.
+ */
+async function cropScreenshot(buffer, { clip = null, trim = false, trimThreshold = 10, split = false } = {}) {
+    let image = clip ? await clipImage(buffer, clip) : buffer;
+    if (trim) image = await trimMargins(image, trimThreshold);
+    if (!split) return [{ buffer: image, part: null }];
+
+    const halves = await splitSpread(image);
+    const parts = ['left', 'right'];
+    return Promise.all(halves.map(async (half, i) => ({
+        buffer: trim ? await trimMargins(half, trimThreshold) : half,
+        part: parts[i],
+    })));
+}
+
+// --- Compression ---
+
+/**
+ * Re-encodes a page image for embedding in a PDF.
+ * @param {Buffer} buffer - The encoded image.
+ * @param {object} [options]
+ * @param {'jpeg'|'png'} [options.format='jpeg'] - Output format.
+ * @param {number} [options.quality=75] - JPEG quality (1-100).
+ * @param {number} [options.scale=1] - Resize factor; only values below 1 are applied.
+ * @param {boolean} [options.grayscale=false] - Convert to grayscale.
+ * @returns {Promise<{buffer: Buffer, format: string, width: number, height: number}>} The encoded image and its pixel size.
+ */
+async function compressImage(buffer, { format = 'jpeg', quality = 75, scale = 1, grayscale = false } = {}) {
+    const { width, height } = await sharp(buffer).metadata();
+    // Untouched PNGs are passed through as-is
+    if (format === 'png' && scale >= 1 && !grayscale) return { buffer, format, width, height };
+
+    let image = sharp(buffer).flatten({ background: '#ffffff' }); // JPEG has no alpha channel
+    if (scale < 1) image = image.resize({ width: Math.max(1, Math.round(width * scale)) });
+    if (grayscale) image = image.grayscale();
+    image = format === 'png' ? image.png({ compressionLevel: 9 }) : image.jpeg({ quality, mozjpeg: true });
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    return { buffer: data, format, width: info.width, height: info.height };
+}
+
+/**
+ * Creates a small JPEG preview of a screenshot, e.g. for the capture control API.
+ * @param {Buffer} buffer - The encoded image.
+ * @param {number} [maxWidth=400] - Maximum width in pixels (smaller images keep their size).
+ * @returns {Promise<Buffer>} The JPEG preview.
+ */
+async function thumbnailImage(buffer, maxWidth = 400) {
+    const { width } = await sharp(buffer).metadata();
+    return (await compressImage(buffer, { format: 'jpeg', quality: 70, scale: Math.min(1, maxWidth / width) })).buffer;
+}
+
+// --- Stitching ---
+
+// Default page shape for stitched captures (A4 portrait)
+const PAGE_ASPECT_RATIO = 1.414;
+
+// Composes rows [top, top + height) of the virtual strip made of the capture segments
+async function renderStripSlice(segments, width, top, height) {
+    const pieces = await Promise.all(segments
+        .filter(segment => segment.stripTop < top + height && segment.stripTop + segment.height > top)
+        .map(async (segment) => {
+            const from = Math.max(top, segment.stripTop);
+            const to = Math.min(top + height, segment.stripTop + segment.height);
+            const input = await sharp(segment.buffer)
+                .extract({ left: 0, top: segment.srcTop + (from - segment.stripTop), width: segment.width, height: to - from })
+                .png()
+                .toBuffer();
+            return { input, left: 0, top: from - top };
+        }));
+    return sharp({ create: { width, height, channels: 3, background: '#ffffff' } })
+        .composite(pieces)
+        .png()
+        .toBuffer();
+}
+
+// Finds a page height close to the target whose last row is blank, so text lines aren't cut in half
+async function findCutHeight(slice) {
+    const { data, info } = await sharp(slice).grayscale().raw().toBuffer({ resolveWithObject: true });
+    let bestHeight = info.height;
+    let bestRange = Infinity;
+    for (let row = info.height - 1; row >= Math.floor(info.height * 0.8); row--) {
+        let min = 255;
+        let max = 0;
+        for (let x = 0; x < info.width; x++) {
+            const value = data[(row * info.width + x) * info.channels];
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (max - min <= 8) return row + 1;
+        if (max - min < bestRange) {
+            bestRange = max - min;
+            bestHeight = row + 1;
+        }
+    }
+    return bestHeight;
+}
+
+/**
+ * Stitches overlapping scroll captures into page-sized images, dropping the rows shown twice.
+ * @param {{buffer: Buffer, scrollY: number, viewHeight: number}[]} captures - Captures in scroll order, with the
+ *   scroll offset and visible height (both in CSS pixels) at which each was taken.
+ * @param {object} [options]
+ * @param {number} [options.pageHeight] - Target page height in image pixels (default: A4 proportions of the capture width).
+ * @returns {Promise<Buffer[]>} The page PNGs, top to bottom.
+ */
+async function stitchScrollCaptures(captures, { pageHeight } = {}) {
+    const segments = [];
+    let stripHeight = 0;
+    let coveredUntil = -Infinity; // Lowest document row (CSS px) already in the strip
+    let width = null;
+
+    for (const capture of captures) {
+        const metadata = await sharp(capture.buffer).metadata();
+        width = width ?? metadata.width;
+        const ratio = metadata.height / capture.viewHeight; // Device pixels per CSS pixel
+        const srcTop = Math.min(metadata.height, Math.round(Math.max(0, coveredUntil - capture.scrollY) * ratio));
+        const height = metadata.height - srcTop;
+        if (height > 0) {
+            segments.push({ buffer: capture.buffer, srcTop, height, stripTop: stripHeight, width: Math.min(width, metadata.width) });
+            stripHeight += height;
+        }
+        coveredUntil = Math.max(coveredUntil, capture.scrollY + capture.viewHeight);
+    }
+
+    const targetHeight = pageHeight || Math.round(width * PAGE_ASPECT_RATIO);
+    const pages = [];
+    for (let top = 0; top < stripHeight;) {
+        let height = Math.min(targetHeight, stripHeight - top);
+        let slice = await renderStripSlice(segments, width, top, height);
+        if (top + height < stripHeight) {
+            const cutHeight = await findCutHeight(slice);
+            if (cutHeight < height) {
+                height = cutHeight;
+                slice = await renderStripSlice(segments, width, top, height);
+            }
+        }
+        pages.push(slice);
+        top += height;
+    }
+    return pages;
+}
+
+module.exports = {
+    hashImage,
+    imageDifference,
+    isSameImage,
+    parseClip,
+    clipImage,
+    trimMargins,
+    splitSpread,
+    cropScreenshot,
+    compressImage,
+    thumbnailImage,
+    stitchScrollCaptures,
+};
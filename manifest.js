@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+// The manifest lives next to the screenshots it describes
+const MANIFEST_FILENAME = 'manifest.json';
+// Present while move-shot.js is writing to the directory, so watch.js knows when the capture has ended
+const CAPTURE_LOCK_FILENAME = 'capture.lock';
+
+/**
+ * Returns the manifest path for a screenshots directory.
+ * @param {string} dir - The screenshots directory.
+ * @returns {string} The manifest file path.
+ */
+function manifestPath(dir) {
+    return path.join(dir, MANIFEST_FILENAME);
+}
+
+/**
+ * Reads the page manifest of a screenshots directory.
+ * @param {string} dir - The screenshots directory.
+ * @returns {{version: number, pages: object[]}} The manifest, with pages sorted by index (empty if none exists yet).
+ * @throws {Error} If the manifest exists but cannot be parsed.
+ */
+function loadManifest(dir) {
+    const file = manifestPath(dir);
+    if (!fs.existsSync(file)) return { version: 1, pages: [] };
+    try {
+        const manifest = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        manifest.pages = (manifest.pages || []).sort((a, b) => a.index - b.index);
+        return manifest;
+    } catch (error) {
+        throw new Error(`Could not parse manifest ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Writes the manifest atomically (temp file + rename) so a crash never leaves it half-written.
+ * @param {string} dir - The screenshots directory.
+ * @param {{version: number, pages: object[]}} manifest - The manifest to write.
+ */
+function saveManifest(dir, manifest) {
+    const file = manifestPath(dir);
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(manifest, null, 2) + '\n');
+    fs.renameSync(tempFile, file);
+}
+
+/**
+ * Records a captured page and saves the manifest.
+ * @param {string} dir - The screenshots directory.
+ * @param {{version: number, pages: object[]}} manifest - The manifest to update in place.
+ * @param {{index: number, filename: string, url: string, hash: string, viewport: {width: number, height: number}}} page - The page entry (timestamp is added).
+ * @returns {object} The stored entry.
+ */
+function recordPage(dir, manifest, page) {
+    const entry = { ...page, timestamp: new Date().toISOString() };
+    manifest.pages = manifest.pages.filter(existing => existing.index !== entry.index);
+    manifest.pages.push(entry);
+    manifest.pages.sort((a, b) => a.index - b.index);
+    saveManifest(dir, manifest);
+    return entry;
+}
+
+/**
+ * Returns the last recorded page, if any.
+ * @param {{pages: object[]}} manifest - The manifest.
+ * @returns {object|null} The entry with the highest index.
+ */
+function lastPage(manifest) {
+    return manifest.pages.length > 0 ? manifest.pages[manifest.pages.length - 1] : null;
+}
+
+// Sorts filenames by their leading number (1.png, 2.png, ..., 10.png)
+const numericalSort = (a, b) => {
+    const numA = parseInt(a.match(/^(\d+)/)?.[1] || '0', 10);
+    const numB = parseInt(b.match(/^(\d+)/)?.[1] || '0', 10);
+    return numA - numB;
+};
+
+/**
+ * Orders page images: manifest order first, then files the manifest doesn't list, numerically.
+ * @param {string[]} files - The image filenames present in the directory.
+ * @param {{pages: object[]}} manifest - The directory's manifest (may have no pages).
+ * @returns {{ordered: string[], unlisted: string[]}} All files in page order, and the subset missing from the manifest.
+ */
+function orderPageFiles(files, manifest) {
+    const listed = manifest.pages
+        .map(page => page.filename)
+        .filter(file => files.includes(file));
+    const unlisted = files
+        .filter(file => !listed.includes(file))
+        .sort(numericalSort);
+    return { ordered: [...new Set([...listed, ...unlisted])], unlisted: manifest.pages.length > 0 ? unlisted : [] };
+}
+
+/**
+ * Tells whether a process is still running.
+ * @param {number} pid - The process id.
+ * @returns {boolean} True if it is running.
+ */
+function isProcessRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM'; // Running, but owned by another user
+    }
+}
+
+/**
+ * Marks a screenshots directory as being captured into by this process.
+ * @param {string} dir - The screenshots directory (created if missing).
+ */
+function writeCaptureLock(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, CAPTURE_LOCK_FILENAME), JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }) + '\n');
+}
+
+/**
+ * Removes the capture lock of a screenshots directory.
+ * @param {string} dir - The screenshots directory.
+ */
+function removeCaptureLock(dir) {
+    fs.rmSync(path.join(dir, CAPTURE_LOCK_FILENAME), { force: true });
+}
+
+/**
+ * Reads the capture lock of a screenshots directory.
+ * @param {string} dir - The screenshots directory.
+ * @returns {{pid: number, startedAt: string, running: boolean}|null} The lock (running is false if its process is gone), or null if there is none.
+ */
+function readCaptureLock(dir) {
+    try {
+        const lock = JSON.parse(fs.readFileSync(path.join(dir, CAPTURE_LOCK_FILENAME), 'utf-8'));
+        return { ...lock, running: isProcessRunning(lock.pid) };
+    } catch (error) {
+        return null; // No lock, or one being written
+    }
+}
+
+module.exports = {
+    MANIFEST_FILENAME,
+    CAPTURE_LOCK_FILENAME,
+    manifestPath,
+    loadManifest,
+    saveManifest,
+    recordPage,
+    lastPage,
+    numericalSort,
+    orderPageFiles,
+    isProcessRunning,
+    writeCaptureLock,
+    removeCaptureLock,
+    readCaptureLock,
+};
@@ -3,13 +3,82 @@ const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { isSameImage, hashImage, parseClip, cropScreenshot, stitchScrollCaptures, thumbnailImage } = require('./image-utils');
+const { parseWaitStrategy, armPageTurnWait } = require('./page-wait');
+const { loadManifest, saveManifest, recordPage, lastPage, writeCaptureLock, removeCaptureLock, readCaptureLock } = require('./manifest');
+const { loadProfile, saveProfile, validateAdvance, resolveSetting, parseFlag, defaultProfilesFile } = require('./profiles');
+const { startControlServer, validateControlSettings, httpError } = require('./control-server');
+
+// --- Profile (optional, saved per-site settings; environment variables override it) ---
+const profileName = process.env.PROFILE;
+const profilesFile = process.env.PROFILES_FILE || defaultProfilesFile;
+let profile = {};
+if (profileName) {
+    try {
+        profile = loadProfile(profileName, profilesFile);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
 
 // --- Configuration ---
-const targetUrl = process.env.TARGET_URL;
+const targetUrl = resolveSetting(process.env.TARGET_URL, profile.url);
 // SCREENSHOT_COUNT is no longer used
-const delayMs = parseInt(process.env.DELAY_MS, 10) || 1000;
-const outputDir = process.env.OUTPUT_DIR || './screenshots';
-const sessionDataDir = path.join(__dirname, 'sessions');
+let delayMs = parseInt(resolveSetting(process.env.DELAY_MS, profile.delayMs, 1000), 10); // Fixed delay, or ceiling for adaptive wait strategies
+const waitStrategySetting = resolveSetting(process.env.WAIT_STRATEGY, profile.waitStrategy, 'fixed'); // fixed | auto | any of mutation,network,visual
+const waitQuietMs = parseInt(resolveSetting(process.env.WAIT_QUIET_MS, profile.waitQuietMs, 300), 10); // Quiet period that counts as "settled"
+// Shared with ocr.js, pdf.js and export.js: SCREENSHOTS_DIR (or the older OUTPUT_DIR)
+const outputDir = process.env.SCREENSHOTS_DIR || process.env.OUTPUT_DIR || path.join(__dirname, 'screenshots');
+// Browser profile with logins; projects can share it or use their own
+const sessionDataDir = path.resolve(process.env.SESSION_DIR || path.join(__dirname, 'sessions'));
+// Stop after this many consecutive captures show no change (0 = never stop automatically)
+const stopAfterUnchanged = parseInt(resolveSetting(process.env.STOP_AFTER_UNCHANGED, profile.stopAfterUnchanged, 3), 10);
+// Stop after this many pages were saved (0 = no limit)
+const maxPages = parseInt(resolveSetting(process.env.MAX_PAGES, profile.maxPages, 0), 10);
+// How many times to re-click when a page turn doesn't seem to register
+const clickRetries = parseInt(resolveSetting(process.env.CLICK_RETRIES, profile.clickRetries, 2), 10);
+// Maximum perceptual difference (0..1) still treated as the same page (0 = byte-identical only)
+const diffTolerance = parseFloat(resolveSetting(process.env.DIFF_TOLERANCE, profile.diffTolerance, 0));
+// Run without a visible browser window (needs a non-interactive advance method)
+const headless = parseFlag(resolveSetting(process.env.HEADLESS, profile.headless, false));
+// Re-open the last recorded page URL when resuming a previous run
+const resumeUrl = parseFlag(resolveSetting(process.env.RESUME_URL, profile.resumeUrl, false));
+// Part of the page to capture: { selector } or { x, y, width, height }. Full page when unset.
+let captureRegion = profile.region || null;
+if (process.env.CAPTURE_SELECTOR) {
+    captureRegion = { selector: process.env.CAPTURE_SELECTOR };
+} else if (process.env.CAPTURE_CLIP) {
+    try {
+        captureRegion = parseClip(process.env.CAPTURE_CLIP);
+    } catch (error) {
+        console.error(`Error: CAPTURE_CLIP is invalid. ${error.message}`);
+        process.exit(1);
+    }
+}
+// Post-capture cropping: remove uniform margins and/or split two-page spreads into separate files
+const trimMargins = parseFlag(resolveSetting(process.env.TRIM_MARGINS, profile.trimMargins, false));
+const trimThreshold = parseInt(resolveSetting(process.env.TRIM_THRESHOLD, profile.trimThreshold, 10), 10);
+const splitSpread = parseFlag(resolveSetting(process.env.SPLIT_SPREAD, profile.splitSpread, false));
+// Scroll mode: join the viewport captures into page-sized images (STITCH_PAGE_HEIGHT in image pixels, 0 = A4 proportions)
+const stitchPages = parseFlag(resolveSetting(process.env.STITCH, profile.stitch, false));
+const stitchPageHeight = parseInt(resolveSetting(process.env.STITCH_PAGE_HEIGHT, profile.stitchPageHeight, 0), 10);
+// Local HTTP API to pause, step, stop and monitor the run (0 = off)
+const controlPort = parseInt(process.env.CONTROL_PORT ?? '0', 10);
+const controlHost = process.env.CONTROL_HOST || '127.0.0.1';
+const controlToken = process.env.CONTROL_TOKEN || '';
+
+// --- How to advance to the next page: from the profile, ADVANCE_* variables, or picked interactively ---
+let advance = null;
+if (process.env.ADVANCE_SELECTOR) {
+    advance = { type: 'selector', selector: process.env.ADVANCE_SELECTOR };
+} else if (process.env.ADVANCE_KEY) {
+    advance = { type: 'key', key: process.env.ADVANCE_KEY };
+} else if (parseFlag(process.env.ADVANCE_SCROLL ?? false)) {
+    advance = { type: 'scroll', container: process.env.SCROLL_CONTAINER || null, overlap: parseInt(process.env.SCROLL_OVERLAP ?? '100', 10) };
+} else if (profile.advance) {
+    advance = profile.advance;
+}
 
 // --- Variables to hold captured coordinates ---
 let capturedX = 0;
@@ -19,9 +88,16 @@ let capturedY = 0;
 let keepRunning = true;
 let shuttingDown = false; // Prevent multiple SIGINT triggers
 
+// --- Control API state: a paused loop waits in waitWhilePaused() until woken ---
+let paused = false;
+let stepsRequested = 0;
+let wakeLoop = () => {};
+const MAX_RECENT_ERRORS = 20;
+const recentErrors = [];
+
 // --- Input Validation ---
 if (!targetUrl) {
-    console.error('Error: TARGET_URL environment variable is not set.');
+    console.error('Error: TARGET_URL environment variable is not set (and no profile url was given).');
     process.exit(1);
 }
 // Removed validation for SCREENSHOT_COUNT
@@ -29,6 +105,78 @@ if (isNaN(delayMs) || delayMs < 0) {
     console.error('Error: DELAY_MS must be a non-negative number.');
     process.exit(1);
 }
+if (isNaN(waitQuietMs) || waitQuietMs < 0) {
+    console.error('Error: WAIT_QUIET_MS must be a non-negative number.');
+    process.exit(1);
+}
+let waitStrategies;
+try {
+    waitStrategies = parseWaitStrategy(waitStrategySetting);
+} catch (error) {
+    console.error(`Error: WAIT_STRATEGY is invalid. ${error.message}`);
+    process.exit(1);
+}
+if (isNaN(stopAfterUnchanged) || stopAfterUnchanged < 0) {
+    console.error('Error: STOP_AFTER_UNCHANGED must be a non-negative integer.');
+    process.exit(1);
+}
+if (isNaN(trimThreshold) || trimThreshold < 0) {
+    console.error('Error: TRIM_THRESHOLD must be a non-negative number.');
+    process.exit(1);
+}
+if (isNaN(maxPages) || maxPages < 0) {
+    console.error('Error: MAX_PAGES must be a non-negative integer.');
+    process.exit(1);
+}
+if (isNaN(clickRetries) || clickRetries < 0) {
+    console.error('Error: CLICK_RETRIES must be a non-negative integer.');
+    process.exit(1);
+}
+if (isNaN(diffTolerance) || diffTolerance < 0 || diffTolerance > 1) {
+    console.error('Error: DIFF_TOLERANCE must be a number between 0 and 1.');
+    process.exit(1);
+}
+if (advance) {
+    try {
+        validateAdvance(advance);
+    } catch (error) {
+        console.error(`Error: Invalid advance method. ${error.message}`);
+        process.exit(1);
+    }
+} else if (headless) {
+    console.error('Error: Headless mode needs an advance method (profile "advance", ADVANCE_SELECTOR, ADVANCE_KEY or ADVANCE_SCROLL).');
+    process.exit(1);
+}
+const scrollMode = advance?.type === 'scroll';
+if (scrollMode && captureRegion) {
+    console.error('Error: Scroll mode captures the viewport or the scroll container; it cannot be combined with a capture region.');
+    process.exit(1);
+}
+if (stitchPages && !scrollMode) {
+    console.error('Error: STITCH only applies to scroll mode (ADVANCE_SCROLL or a profile with advance type "scroll").');
+    process.exit(1);
+}
+if (isNaN(stitchPageHeight) || stitchPageHeight < 0) {
+    console.error('Error: STITCH_PAGE_HEIGHT must be a non-negative integer.');
+    process.exit(1);
+}
+if (isNaN(controlPort) || controlPort < 0) {
+    console.error('Error: CONTROL_PORT must be a port number (or 0 to turn the control API off).');
+    process.exit(1);
+}
+if (controlPort > 0) {
+    try {
+        validateControlSettings({ host: controlHost, port: controlPort, token: controlToken });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+// When stitching, the raw viewport captures are kept apart and the stitched pages go to OUTPUT_DIR
+const captureDir = stitchPages ? path.join(outputDir, 'viewports') : outputDir;
+
+// --- Run statistics (printed on exit) ---
+const stats = { captured: 0, skipped: 0, retried: 0, turns: 0, turnMs: 0 };
 
 
 // --- Graceful Shutdown Handler ---
@@ -37,6 +185,7 @@ process.on('SIGINT', async () => {
     shuttingDown = true;
     console.log('\n\nCaught interrupt signal (Ctrl+C). Stopping loop and closing browser...');
     keepRunning = false; // Signal the loop to stop
+    wakeLoop(); // In case it is paused
 
     // Note: The finally block should handle browser closing,
     // but we set the flag here to break the loop.
@@ -111,15 +260,192 @@ function askQuestion(query, page) {
 }
 
 
+// --- Helper to ask a single line of input in the terminal ---
+function promptLine(query) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+    });
+    return new Promise(resolve => rl.question(query, answer => {
+        rl.close();
+        resolve(answer.trim());
+    }));
+}
+
+
+// --- Helper to read the current viewport size (used to scale saved click coordinates) ---
+function getViewportSize(page) {
+    return page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+}
+
+
+// --- Helper to read the scroll position of the scroll container (or the window) in CSS pixels ---
+function getScrollState(page) {
+    return page.evaluate((container) => {
+        const target = container ? document.querySelector(container) : document.scrollingElement;
+        if (!target) throw new Error(`Scroll container not found: ${container}`);
+        return { y: target.scrollTop, height: target.clientHeight };
+    }, advance.container || null);
+}
+
+
+// --- Helper to scroll the container (or the window) to an offset; resolves to the offset reached ---
+function scrollTo(page, y) {
+    return page.evaluate((container, top) => {
+        const target = container ? document.querySelector(container) : document.scrollingElement;
+        if (!target) throw new Error(`Scroll container not found: ${container}`);
+        target.scrollTo({ top, behavior: 'instant' });
+        return target.scrollTop;
+    }, advance.container || null, y);
+}
+
+
+// --- Helper to trigger the next page with the configured advance method ---
+// Resolves to false when nothing could move any more (end of scrollable content).
+async function performAdvance(page) {
+    if (advance.type === 'scroll') {
+        const before = await getScrollState(page);
+        const step = Math.max(1, before.height - (advance.overlap ?? 100));
+        console.log(`Scrolling ${advance.container || 'window'} by ${step}px...`);
+        const reached = await scrollTo(page, before.y + step);
+        return reached !== before.y;
+    } else if (advance.type === 'selector') {
+        console.log(`Clicking element ${advance.selector}...`);
+        await page.waitForSelector(advance.selector, { visible: true, timeout: Math.max(delayMs, 5000) });
+        await page.click(advance.selector);
+    } else if (advance.type === 'key') {
+        console.log(`Pressing ${advance.key}...`);
+        await page.keyboard.press(advance.key);
+    } else {
+        // Coordinates saved with a viewport size are scaled to the current window size
+        if (advance.viewport) {
+            const viewport = await getViewportSize(page);
+            capturedX = Math.round(advance.x * viewport.width / advance.viewport.width);
+            capturedY = Math.round(advance.y * viewport.height / advance.viewport.height);
+        }
+        console.log(`Moving mouse to (${capturedX}, ${capturedY})...`);
+        await page.mouse.move(capturedX, capturedY);
+
+        console.log(`Clicking at (${capturedX}, ${capturedY})...`);
+        await new Promise(resolve => setTimeout(resolve, 100)); // Pre-click delay
+        await page.mouse.click(capturedX, capturedY);
+    }
+    return true;
+}
+
+
+// --- Helper to advance one page and wait for it to settle (false at the end of scrollable content) ---
+async function advanceAndWait(page) {
+    const turnWait = await armPageTurnWait(page, { strategies: waitStrategies, maxMs: delayMs, quietMs: waitQuietMs });
+    if (!await performAdvance(page)) return false;
+
+    console.log(waitStrategies.includes('fixed')
+        ? `Waiting for ${delayMs}ms...`
+        : `Waiting for page to settle (${waitStrategies.join(', ')}, max ${delayMs}ms)...`);
+    const { elapsedMs, settled } = await turnWait.wait();
+    stats.turns++;
+    stats.turnMs += elapsedMs;
+    console.log(settled
+        ? `Page turn took ${elapsedMs}ms.`
+        : `Page did not settle within ${delayMs}ms, continuing anyway.`);
+    return true;
+}
+
+
+// --- Helper to capture the configured region (or the full page) into a buffer ---
+async function takeScreenshot(page) {
+    if (scrollMode) {
+        // Only what is currently scrolled into view
+        return advance.container ? (await page.$(advance.container)).screenshot() : page.screenshot();
+    }
+    if (captureRegion && captureRegion.selector) {
+        const element = await page.waitForSelector(captureRegion.selector, { visible: true, timeout: Math.max(delayMs, 5000) });
+        return element.screenshot();
+    }
+    if (captureRegion) {
+        const { x, y, width, height } = captureRegion;
+        return page.screenshot({ clip: { x, y, width, height } });
+    }
+    return page.screenshot({ fullPage: true });
+}
+
+
+// --- Helper to hold the loop while paused; a requested step lets one iteration through ---
+async function waitWhilePaused() {
+    while (paused && keepRunning && stepsRequested === 0) {
+        await new Promise(resolve => { wakeLoop = resolve; });
+    }
+    wakeLoop = () => {};
+    if (paused && stepsRequested > 0) stepsRequested--;
+}
+
+
+// --- Helper to read a {x, y} point in CSS pixels from a control API request ---
+function parsePoint(point, name) {
+    const valid = point && [point.x, point.y].every(value => Number.isFinite(value) && value >= 0);
+    if (!valid) throw httpError(400, `${name} must be {"x": number, "y": number} with non-negative numbers.`);
+    return { x: Math.round(point.x), y: Math.round(point.y) };
+}
+
+
+// --- Helper to stitch the recorded viewport captures into the pages in OUTPUT_DIR ---
+async function writeStitchedPages() {
+    const viewports = loadManifest(captureDir).pages.filter(entry => entry.scroll);
+    if (viewports.length === 0) return;
+    console.log(`\nStitching ${viewports.length} viewport capture(s) into pages...`);
+    const stitched = await stitchScrollCaptures(viewports.map(entry => ({
+        buffer: fs.readFileSync(path.join(captureDir, entry.filename)),
+        scrollY: entry.scroll.y,
+        viewHeight: entry.scroll.height,
+    })), { pageHeight: stitchPageHeight });
+
+    // The stitched pages are rebuilt from all captures each time, so the manifest is replaced
+    const manifest = { version: 1, pages: [] };
+    for (const pageImage of stitched) {
+        for (const { buffer, part } of await cropScreenshot(pageImage, { trim: trimMargins, trimThreshold, split: splitSpread })) {
+            const index = manifest.pages.length + 1;
+            const filename = `${index}.png`;
+            fs.writeFileSync(path.join(outputDir, filename), buffer);
+            manifest.pages.push({
+                index,
+                filename,
+                url: viewports[0].url,
+                hash: hashImage(buffer),
+                timestamp: new Date().toISOString(),
+                ...(part ? { part } : {}),
+            });
+        }
+    }
+    saveManifest(outputDir, manifest);
+    console.log(`Wrote ${manifest.pages.length} stitched page(s) to ${outputDir}.`);
+
+    // Pages left from an earlier, longer stitch would be read as extra pages by ocr.js and pdf.js
+    const written = new Set(manifest.pages.map(entry => entry.filename));
+    const stale = fs.readdirSync(outputDir).filter(file => /^\d+\.png$/i.test(file) && !written.has(file));
+    for (const file of stale) fs.unlinkSync(path.join(outputDir, file));
+    if (stale.length > 0) console.log(`Removed ${stale.length} stitched page(s) left from an earlier run.`);
+}
+
+
 // --- Main Async Function ---
 (async () => {
     let browser = null;
     let page = null;
+    let lockedOutputDir = false;
+    let controlServer = null;
 
     try {
         // Setup signal handler early
         console.log("Script started. Press Ctrl+C to stop gracefully.");
 
+        // Lets watch.js OCR the pages while they are captured, and keeps two captures from writing to one directory
+        const existingLock = readCaptureLock(outputDir);
+        if (existingLock && existingLock.running) {
+            throw new Error(`Another capture (pid ${existingLock.pid}) is writing to ${outputDir}.`);
+        }
+        writeCaptureLock(outputDir);
+        lockedOutputDir = true;
+
         // Session directory setup
         if (!fs.existsSync(sessionDataDir)){
             console.log(`Creating session data directory: ${sessionDataDir}`);
@@ -131,7 +457,7 @@ function askQuestion(query, page) {
         // Launch Browser
         console.log('Launching browser...');
         browser = await puppeteer.launch({
-            headless: false,
+            headless,
             defaultViewport: null,
             userDataDir: sessionDataDir
         });
@@ -141,6 +467,7 @@ function askQuestion(query, page) {
             console.log('Browser disconnected unexpectedly. Stopping script.');
             keepRunning = false;
             shuttingDown = true; // Prevent SIGINT handler conflicts
+            wakeLoop();
         });
 
         page = await browser.newPage();
@@ -155,67 +482,271 @@ function askQuestion(query, page) {
             }, true);
         });
 
+        // Resume state from a previous run (manifest in the output directory)
+        const manifest = loadManifest(captureDir);
+        const resumeFrom = lastPage(manifest);
+        const existingNumbers = fs.existsSync(captureDir)
+            ? fs.readdirSync(captureDir).map(file => file.match(/^(\d+)\.png$/i)).filter(Boolean).map(match => parseInt(match[1], 10))
+            : [];
+        let nextIndex = Math.max(resumeFrom ? resumeFrom.index : 0, ...existingNumbers, 0) + 1;
+        if (nextIndex > 1) {
+            console.log(`Resuming previous capture: ${manifest.pages.length} page(s) recorded, next screenshot is ${nextIndex}.png.`);
+        }
+
         // Navigate
-        console.log(`Navigating to ${targetUrl}...`);
-        await page.goto(targetUrl, { waitUntil: 'networkidle0', timeout: 60000 });
+        const startUrl = resumeUrl && resumeFrom && resumeFrom.url ? resumeFrom.url : targetUrl;
+        console.log(`Navigating to ${startUrl}...`);
+        await page.goto(startUrl, { waitUntil: 'networkidle0', timeout: 60000 });
         console.log('Navigation complete.');
 
-        // Capture Coordinates
-        console.log('\n>>> Position your mouse cursor over the desired click location <<<');
-        console.log('>>> in the browser window. Then press Enter in this terminal. <<<');
-        const confirmedCoords = await askQuestion('Mouse Position Check:', page);
-
-        capturedX = confirmedCoords.x;
-        capturedY = confirmedCoords.y;
-        console.log(`\nUsing coordinates (${capturedX}, ${capturedY}) for clicks.`);
+        if (advance) {
+            console.log(`\nAdvancing pages by ${advance.type}${profileName ? ` (profile "${profileName}")` : ''}.`);
+            capturedX = advance.x ?? 0;
+            capturedY = advance.y ?? 0;
+        } else {
+            // Capture Coordinates
+            console.log('\n>>> Position your mouse cursor over the desired click location <<<');
+            console.log('>>> in the browser window. Then press Enter in this terminal. <<<');
+            const confirmedCoords = await askQuestion('Mouse Position Check:', page);
+
+            capturedX = confirmedCoords.x;
+            capturedY = confirmedCoords.y;
+            advance = { type: 'click', x: capturedX, y: capturedY, viewport: await getViewportSize(page) };
+            console.log(`\nUsing coordinates (${capturedX}, ${capturedY}) for clicks.`);
+
+            const newProfileName = await promptLine('Save these settings as a profile for unattended runs? Enter a name (or press Enter to skip): ');
+            if (newProfileName) {
+                saveProfile(newProfileName, {
+                    url: targetUrl,
+                    advance,
+                    delayMs,
+                    waitStrategy: waitStrategySetting,
+                    waitQuietMs,
+                    stopAfterUnchanged,
+                    maxPages,
+                    clickRetries,
+                    diffTolerance,
+                    trimMargins,
+                    trimThreshold,
+                    splitSpread,
+                    ...(captureRegion ? { region: captureRegion } : {}),
+                }, profilesFile);
+                console.log(`Profile "${newProfileName}" saved to ${profilesFile}. Run with PROFILE=${newProfileName} (and HEADLESS=1 if desired).`);
+            }
+        }
 
         // Ensure Output Directory
-        if (!fs.existsSync(outputDir)){
-            console.log(`Creating output directory: ${outputDir}`);
-            fs.mkdirSync(outputDir, { recursive: true });
+        if (!fs.existsSync(captureDir)){
+            console.log(`Creating output directory: ${captureDir}`);
+            fs.mkdirSync(captureDir, { recursive: true });
         }
 
-        console.log('Starting infinite screenshot loop... Press Ctrl+C to stop.');
+        console.log(`Starting screenshot loop... Stops at the end of the ${scrollMode ? 'scrollable content' : 'book'} or on Ctrl+C.`);
+
+        // --- Click, Delay, Screenshot Loop (until stopped or end of book) ---
+        // Compare the first capture with the last page of the previous run, if still on disk
+        // (only possible when pages are saved uncropped, as the comparison uses the raw screenshot)
+        const savedRaw = stitchPages || (!trimMargins && !splitSpread);
+        const lastFile = resumeFrom && savedRaw && path.join(captureDir, resumeFrom.filename);
+        let previousShot = lastFile && fs.existsSync(lastFile) ? fs.readFileSync(lastFile) : null;
+        let unchangedCount = 0;
+
+        // In scroll mode the top of the page is captured before the first scroll, unless resuming further down
+        // (also set after a failed iteration, so resuming doesn't skip the page that failed)
+        let captureBeforeAdvance = scrollMode;
+        if (scrollMode && resumeFrom && resumeFrom.scroll) {
+            console.log(`Restoring scroll position ${resumeFrom.scroll.y}px...`);
+            await scrollTo(page, resumeFrom.scroll.y);
+            captureBeforeAdvance = false;
+        }
+
+        // Optional control API; errors in an iteration then pause the run instead of ending it
+        let iteration = 0;
+        let lastShot = null;
+        if (controlPort > 0) {
+            const requirePaused = () => {
+                if (!paused) throw httpError(409, 'Pause the capture first.');
+            };
+            const status = () => ({
+                state: !keepRunning ? 'stopping' : paused ? 'paused' : 'running',
+                iteration,
+                url: page.isClosed() ? null : page.url(),
+                stats: { ...stats },
+                nextFile: `${nextIndex}.png`,
+                lastScreenshot: lastShot && { file: lastShot.file, takenAt: lastShot.takenAt },
+                advance,
+                delayMs,
+                errors: recentErrors,
+            });
+            controlServer = await startControlServer({ host: controlHost, port: controlPort, token: controlToken }, {
+                status,
+                thumbnail: () => lastShot && thumbnailImage(lastShot.buffer),
+                pause: () => {
+                    if (!paused) console.log('\nPaused by the control API.');
+                    paused = true;
+                    return status();
+                },
+                resume: () => {
+                    if (paused) console.log('\nResumed by the control API.');
+                    paused = false;
+                    wakeLoop();
+                    return status();
+                },
+                stop: () => {
+                    console.log('\nStop requested by the control API.');
+                    keepRunning = false;
+                    wakeLoop();
+                    return status();
+                },
+                step: () => {
+                    requirePaused();
+                    stepsRequested++;
+                    wakeLoop();
+                    return status();
+                },
+                // Clicks and key presses for closing popups and the like, while the loop is paused
+                click: async (body) => {
+                    requirePaused();
+                    const { x, y } = parsePoint(body, 'The click point');
+                    console.log(`Control API: clicking at (${x}, ${y}).`);
+                    await page.mouse.click(x, y);
+                    return status();
+                },
+                key: async (body) => {
+                    requirePaused();
+                    if (typeof body.key !== 'string' || !body.key) throw httpError(400, 'key must be a key name, e.g. "Escape".');
+                    console.log(`Control API: pressing ${body.key}.`);
+                    await page.keyboard.press(body.key);
+                    return status();
+                },
+                settings: async (body) => {
+                    if (body.delayMs !== undefined && !(Number.isFinite(body.delayMs) && body.delayMs >= 0)) {
+                        throw httpError(400, 'delayMs must be a non-negative number.');
+                    }
+                    if (body.click !== undefined && advance.type !== 'click') {
+                        throw httpError(409, `The click point only applies to click advance (this run advances by ${advance.type}).`);
+                    }
+                    const click = body.click !== undefined ? parsePoint(body.click, 'click') : null;
+                    if (body.delayMs !== undefined) {
+                        delayMs = Math.round(body.delayMs);
+                        console.log(`Control API: delay set to ${delayMs}ms.`);
+                    }
+                    if (click) {
+                        // In the current viewport, which also becomes the reference for scaling
+                        advance = { ...advance, ...click, viewport: await getViewportSize(page) };
+                        capturedX = click.x;
+                        capturedY = click.y;
+                        console.log(`Control API: click point set to (${click.x}, ${click.y}).`);
+                    }
+                    return status();
+                },
+            });
+        }
 
-        // --- Infinite Click, Delay, Screenshot Loop ---
         for (let i = 1; keepRunning; i++) { // Loop controlled by keepRunning flag
+            await waitWhilePaused();
              // Check flags at the start of the loop
              if (!keepRunning || page.isClosed()) {
                  if(page.isClosed()) console.log(`\nPage closed unexpectedly. Stopping loop.`);
                  break; // Exit loop if flag is false or page closed
              }
 
+            iteration = i;
             console.log(`\n--- Iteration ${i} ---`);
+            try {
+                if (!captureBeforeAdvance) {
+                    if (!await advanceAndWait(page)) {
+                        console.log('\nScrolling no longer moves the content. Reached the end.');
+                        break;
+                    }
+                }
+                captureBeforeAdvance = false;
+
+                // Check flags again before potentially long operation
+                if (!keepRunning || page.isClosed()) {
+                     if(page.isClosed()) console.log('Page closed before screenshot could be taken.');
+                     break; // Exit loop
+                 }
 
-            console.log(`Moving mouse to (${capturedX}, ${capturedY})...`);
-            await page.mouse.move(capturedX, capturedY);
-
-            console.log(`Clicking at (${capturedX}, ${capturedY})...`);
-            await new Promise(resolve => setTimeout(resolve, 100)); // Pre-click delay
-            await page.mouse.click(capturedX, capturedY);
-
-            console.log(`Waiting for ${delayMs}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delayMs)); // Main delay
-
-            const screenshotPath = path.join(outputDir, `${i}.png`);
-            console.log(`Taking screenshot: ${screenshotPath}`);
-
-            // Check flags again before potentially long operation
-            if (!keepRunning || page.isClosed()) {
-                 if(page.isClosed()) console.log('Page closed before screenshot could be taken.');
-                 break; // Exit loop
-             }
-
-            await page.screenshot({
-                 path: screenshotPath,
-                 fullPage: true
-            });
-            console.log('Screenshot saved.');
+                let shot = await takeScreenshot(page);
+                lastShot = { buffer: shot, file: null, takenAt: new Date().toISOString() };
+                // Scroll mode detects its end by the scroll position instead; repeated-looking viewports are still content
+                let unchanged = !scrollMode && await isSameImage(shot, previousShot, diffTolerance);
+
+                // The click may not have registered: retry before treating the page as unchanged
+                for (let attempt = 1; unchanged && attempt <= clickRetries && keepRunning && !page.isClosed(); attempt++) {
+                    console.log(`Page did not change. Retrying page turn (${attempt}/${clickRetries})...`);
+                    stats.retried++;
+                    await advanceAndWait(page);
+                    shot = await takeScreenshot(page);
+                    lastShot = { buffer: shot, file: null, takenAt: new Date().toISOString() };
+                    unchanged = await isSameImage(shot, previousShot, diffTolerance);
+                }
+
+                if (unchanged) {
+                    stats.skipped++;
+                    unchangedCount++;
+                    console.log(`Screenshot identical to the previous page, not saved (${unchangedCount} unchanged in a row).`);
+                    if (stopAfterUnchanged > 0 && unchangedCount >= stopAfterUnchanged) {
+                        console.log(`\nNo change after ${unchangedCount} consecutive captures. Assuming end of book.`);
+                        break;
+                    }
+                    continue;
+                }
+
+                unchangedCount = 0;
+                // A spread may become two pages; each gets its own number and manifest entry.
+                // Viewports to be stitched are kept as captured and cropped after stitching.
+                const pages = stitchPages
+                    ? [{ buffer: shot, part: null }]
+                    : await cropScreenshot(shot, { trim: trimMargins, trimThreshold, split: splitSpread });
+                const url = page.url();
+                const viewport = await getViewportSize(page);
+                const scroll = scrollMode ? await getScrollState(page) : null;
+                for (const { buffer, part } of pages) {
+                    const filename = `${nextIndex}.png`;
+                    const screenshotPath = path.join(captureDir, filename);
+                    console.log(`Saving screenshot: ${screenshotPath}${part ? ` (${part} page)` : ''}`);
+                    await fs.promises.writeFile(screenshotPath, buffer);
+                    recordPage(captureDir, manifest, {
+                        index: nextIndex,
+                        filename,
+                        url,
+                        hash: hashImage(buffer),
+                        viewport,
+                        ...(part ? { part } : {}),
+                        ...(scroll ? { scroll } : {}),
+                    });
+                    lastShot.file = filename;
+                    nextIndex++;
+                    stats.captured++;
+                }
+                previousShot = shot;
+                console.log('Screenshot saved.');
+
+                if (maxPages > 0 && stats.captured >= maxPages) {
+                    console.log(`\nReached MAX_PAGES (${maxPages}). Stopping.`);
+                    break;
+                }
+            } catch (error) {
+                // Without the control API (or when shutting down) an error ends the run as before
+                if (!controlServer || !keepRunning || page.isClosed()) throw error;
+                recentErrors.push({ iteration: i, message: error.message, at: new Date().toISOString() });
+                if (recentErrors.length > MAX_RECENT_ERRORS) recentErrors.shift();
+                console.error(`\nIteration ${i} failed: ${error.message}`);
+                console.log('Capture paused. Fix the page (e.g. POST /click or /key to close a popup), then POST /resume or /step.');
+                paused = true;
+                captureBeforeAdvance = true; // Capture the current page first; an unchanged page is turned by the retries
+            }
             // Loop continues if keepRunning is still true
         }
 
         console.log('\nLoop stopped.'); // Message when loop naturally exits (due to flag)
 
+        if (stitchPages) {
+            await writeStitchedPages();
+        }
+
     } catch (error) {
         // Avoid logging common errors during normal shutdown or browser disconnect
         if (!shuttingDown && !(error.message.includes('Target closed') || error.message.includes('Protocol error') && error.message.includes('disconnected'))) {
@@ -228,6 +759,8 @@ function askQuestion(query, page) {
         }
     } finally {
         console.log('Entering finally block...');
+        if (lockedOutputDir) removeCaptureLock(outputDir);
+        if (controlServer) controlServer.close();
         if (browser && browser.isConnected()) { // Check if browser is still connected before closing
             console.log('Closing browser (session data preserved)...');
             await browser.close();
@@ -235,6 +768,10 @@ function askQuestion(query, page) {
         } else {
             console.log('Browser already closed or disconnected.');
         }
+        console.log(`Capture summary: ${stats.captured} page(s) captured, ${stats.skipped} unchanged capture(s) skipped, ${stats.retried} page turn(s) retried.`);
+        if (stats.turns > 0) {
+            console.log(`Average page turn: ${Math.round(stats.turnMs / stats.turns)}ms over ${stats.turns} page turn(s) (wait strategy: ${waitStrategies.join(', ')}).`);
+        }
         console.log('Script finished.');
         // Ensure the process exits if it hasn't already (e.g., if SIGINT didn't force exit)
         process.exit(process.exitCode || 0);
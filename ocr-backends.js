@@ -0,0 +1,151 @@
+import { Ollama } from 'ollama';
+import { spawn } from 'child_process';
+
+// --- Backend Adapters ---
+// Every backend exposes the same interface:
+//   name                       - backend type
+//   cacheModel(model)          - identifier used to key and group cached results
+//   transcribe({ image, prompt, model, signal }) -> Promise<string>
+//   layout({ image, signal }) -> Promise<line[]>   (optional: native line/word geometry, see parseTesseractTsv)
+// Errors carry `status` (HTTP) or `code` (system) so the job runner can tell transient ones apart.
+
+export const OCR_BACKENDS = ['ollama', 'openai', 'tesseract'];
+
+const DEFAULT_HOSTS = {
+    ollama: 'http://127.0.0.1:11434',
+    openai: 'http://127.0.0.1:8080/v1', // llama.cpp server; LM Studio uses http://127.0.0.1:1234/v1
+};
+
+function createOllamaBackend({ host }) {
+    return {
+        name: 'ollama',
+        cacheModel: (model) => model,
+        async transcribe({ image, prompt, model, signal }) {
+            // A client per request, so this request alone can be aborted
+            const client = new Ollama({ host, fetch: (url, init) => fetch(url, { ...init, signal }) });
+            const response = await client.chat({
+                model: model,
+                messages: [{
+                    role: 'user',
+                    content: prompt,
+                    images: [image.toString('base64')]
+                }],
+            });
+            return response?.message?.content || '';
+        },
+    };
+}
+
+function createOpenAiBackend({ host, apiKey }) {
+    const endpoint = `${host.replace(/\/+$/, '')}/chat/completions`;
+    return {
+        name: 'openai',
+        cacheModel: (model) => `openai:${model}`,
+        async transcribe({ image, prompt, model, signal }) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                signal,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+                },
+                body: JSON.stringify({
+                    model,
+                    temperature: 0,
+                    messages: [{
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: prompt },
+                            { type: 'image_url', image_url: { url: `data:image/png;base64,${image.toString('base64')}` } },
+                        ],
+                    }],
+                }),
+            });
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status} from ${endpoint}: ${(await response.text()).slice(0, 200)}`);
+                error.status = response.status;
+                throw error;
+            }
+            const data = await response.json();
+            return data?.choices?.[0]?.message?.content || '';
+        },
+    };
+}
+
+/**
+ * Parses Tesseract TSV output into text lines with their word boxes.
+ * @param {string} tsv - The output of `tesseract <image> stdout tsv`.
+ * @returns {{text: string, x: number, y: number, width: number, height: number, words: object[]}[]} Lines in reading order, in image pixels.
+ */
+export function parseTesseractTsv(tsv) {
+    const lines = new Map();
+    for (const row of tsv.split('\n').slice(1)) {
+        const [level, , block, paragraph, line, , left, top, width, height, , ...textParts] = row.split('\t');
+        const key = `${block}-${paragraph}-${line}`;
+        const box = { x: Number(left), y: Number(top), width: Number(width), height: Number(height) };
+        if (level === '4') {
+            lines.set(key, { ...box, words: [] });
+        } else if (level === '5') {
+            const text = textParts.join('\t').trim();
+            if (text && lines.has(key)) lines.get(key).words.push({ text, ...box });
+        }
+    }
+    return [...lines.values()]
+        .filter(line => line.words.length > 0)
+        .map(line => ({ text: line.words.map(word => word.text).join(' '), ...line }));
+}
+
+function createTesseractBackend({ tesseractPath, tesseractLang }) {
+    const run = (extraArgs, image, signal) => new Promise((resolve, reject) => {
+        const child = spawn(tesseractPath, ['stdin', 'stdout', '-l', tesseractLang, ...extraArgs], { signal });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', (error) => {
+            if (error.code === 'ENOENT') {
+                reject(new Error(`Tesseract not found at "${tesseractPath}". Install it or set TESSERACT_PATH.`));
+            } else {
+                reject(signal?.aborted && signal.reason ? signal.reason : error);
+            }
+        });
+        child.on('close', (exitCode) => {
+            if (exitCode === 0) resolve(stdout);
+            else reject(new Error(`Tesseract exited with code ${exitCode}: ${stderr.trim().slice(0, 200)}`));
+        });
+        child.stdin.on('error', () => {}); // Reported through 'error'/'close' instead
+        child.stdin.end(image);
+    });
+
+    return {
+        name: 'tesseract',
+        // Tesseract ignores the model and prompt; results depend on the language data only
+        cacheModel: () => `tesseract:${tesseractLang}`,
+        transcribe: ({ image, signal }) => run([], image, signal),
+        layout: async ({ image, signal }) => parseTesseractTsv(await run(['tsv'], image, signal)),
+    };
+}
+
+/**
+ * Creates the OCR backend selected by configuration.
+ * @param {object} [config]
+ * @param {string} [config.type='ollama'] - One of OCR_BACKENDS.
+ * @param {string} [config.host] - Server URL (Ollama host, or OpenAI-compatible base URL including /v1).
+ * @param {string} [config.apiKey] - Bearer token for OpenAI-compatible servers that require one.
+ * @param {string} [config.tesseractPath='tesseract'] - Tesseract executable.
+ * @param {string} [config.tesseractLang='eng'] - Tesseract language(s), e.g. "eng+deu".
+ * @returns {{name: string, cacheModel: (model: string) => string, transcribe: (request: object) => Promise<string>}}
+ * @throws {Error} If the backend type is unknown.
+ */
+export function createOcrBackend({ type = 'ollama', host, apiKey, tesseractPath = 'tesseract', tesseractLang = 'eng' } = {}) {
+    switch (type) {
+        case 'ollama':
+            return createOllamaBackend({ host: host || DEFAULT_HOSTS.ollama });
+        case 'openai':
+            return createOpenAiBackend({ host: host || DEFAULT_HOSTS.openai, apiKey });
+        case 'tesseract':
+            return createTesseractBackend({ tesseractPath, tesseractLang });
+        default:
+            throw new Error(`Unknown OCR backend "${type}" (expected ${OCR_BACKENDS.join(', ')})`);
+    }
+}
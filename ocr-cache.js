@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --- Configuration ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const cacheDir = process.env.OCR_CACHE_DIR || path.join(__dirname, '.ocr-cache');
+
+// One sub-directory per model, so a model's results can be dropped on their own
+const modelDir = (model) => path.join(cacheDir, model.replace(/[^a-zA-Z0-9._-]+/g, '_'));
+
+// --- Reusable Functions (Exported) ---
+
+/**
+ * Computes the cache key of an OCR result: image content + model + prompt.
+ * @param {Buffer} imageBuffer - The image bytes.
+ * @param {string} model - The model name.
+ * @param {string} prompt - The prompt sent with the image.
+ * @returns {string} The hex key.
+ */
+export function ocrCacheKey(imageBuffer, model, prompt) {
+    const imageHash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+    return crypto.createHash('sha256').update(`${imageHash}\0${model}\0${prompt}`).digest('hex');
+}
+
+/**
+ * Looks up a cached OCR result.
+ * @param {string} key - The key from ocrCacheKey.
+ * @param {string} model - The model name.
+ * @returns {Promise<string|null>} The cached text, or null on a miss.
+ */
+export async function readCachedOcr(key, model) {
+    try {
+        const entry = JSON.parse(await fs.readFile(path.join(modelDir(model), `${key}.json`), 'utf-8'));
+        return typeof entry.text === 'string' ? entry.text : null;
+    } catch {
+        return null; // Missing or unreadable entries are treated as misses
+    }
+}
+
+/**
+ * Stores a successful OCR result.
+ * @param {string} key - The key from ocrCacheKey.
+ * @param {string} model - The model name.
+ * @param {string} text - The transcribed text.
+ * @param {string} [imageFilename] - The source image, recorded for reference only.
+ * @returns {Promise<void>}
+ */
+export async function writeCachedOcr(key, model, text, imageFilename) {
+    const dir = modelDir(model);
+    await fs.mkdir(dir, { recursive: true });
+    const entry = { model, image: imageFilename, text, createdAt: new Date().toISOString() };
+    const file = path.join(dir, `${key}.json`);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(entry));
+    await fs.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Deletes cached results of one model, or of all models.
+ * @param {string|null} model - The model name, or null for the whole cache.
+ * @returns {Promise<number>} The number of entries removed.
+ */
+export async function clearOcrCache(model) {
+    const dirs = model
+        ? [modelDir(model)]
+        : (await fs.readdir(cacheDir).catch(() => [])).map(name => path.join(cacheDir, name));
+    let removed = 0;
+    for (const dir of dirs) {
+        removed += (await fs.readdir(dir).catch(() => [])).filter(file => file.endsWith('.json')).length;
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+    return removed;
+}
+
+// --- Standalone Execution (node ocr-cache.js clear <model>|--all) ---
+const isMainScript = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename);
+
+if (isMainScript) {
+    const [command, target] = process.argv.slice(2);
+    if (command === 'clear' && target) {
+        const removed = await clearOcrCache(target === '--all' ? null : target);
+        console.log(`Removed ${removed} cached OCR result(s)${target === '--all' ? '' : ` for model ${target}`} from ${cacheDir}.`);
+    } else {
+        console.error('Usage: node ocr-cache.js clear <model>|--all');
+        process.exitCode = 1;
+    }
+}
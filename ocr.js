@@ -1,7 +1,14 @@
-import ollama from 'ollama';
 import fs from 'fs/promises';
 import path from 'path';
+import sharp from 'sharp';
 import { fileURLToPath } from 'url';
+import { loadManifest, orderPageFiles, MANIFEST_FILENAME } from './manifest.js';
+import { loadCorrections, findCorrection } from './corrections.js';
+import { hashImage } from './image-utils.js';
+import { resolvePromptProfile, renderLayoutPrompt, parsePromptVariables, repairTranscription } from './prompt-profiles.js';
+import { ocrCacheKey, readCachedOcr, writeCachedOcr } from './ocr-cache.js';
+import { createOcrBackend } from './ocr-backends.js';
+import { cleanupPages, cleanupDiff, getCleanupOptions } from './text-cleanup.js';
 
 // --- Global Timeout Configuration ---
 const TIMEOUT_MINUTES = 30;
@@ -17,50 +24,83 @@ if (!process.env.NODE_OPTIONS || !process.env.NODE_OPTIONS.includes('--http-pars
 // --- Configuration & Helpers ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const screenshotsDir = path.join(__dirname, 'screenshots');
-const markdownOutputFile = path.join(__dirname, 'ocr.md'); // Renamed for clarity
-const defaultOllamaModel = process.env.OLLAMA_MODEL || 'gemma3:12b-it-qat';
-const transcriptionPrompt = `Extract and transcribe *only* the main textual content of the book page shown in this image. Preserve formatting like paragraphs where possible.
-
-IGNORE all of the following elements:
-- Headers with book title, chapter name, or author names
-- Footers with page numbers or location indicators
-- Kindle progress indicators (percentage, time left)
-- Navigation bars or buttons
-- Kindle menu items or icons
-- Any location markers like "Location 123-456"
-- Chapter or section numbering not part of the actual text
-- Any UI elements overlaid on the text
-
-Provide only the clean transcribed text content, exactly as it appears on the page. Do not add any descriptions or commentary about the image itself.`;
+// Shared by all scripts: SCREENSHOTS_DIR (OUTPUT_DIR is the older name used by move-shot.js)
+const screenshotsDir = path.resolve(process.env.SCREENSHOTS_DIR || process.env.OUTPUT_DIR || path.join(__dirname, 'screenshots'));
+const markdownOutputFile = path.resolve(process.env.OCR_OUTPUT || path.join(__dirname, 'ocr.md'));
+const ocrReportFile = path.resolve(process.env.OCR_REPORT || path.join(__dirname, 'ocr-report.json')); // Failed pages of the last ocr.js run
+// What the text cleanup changed in a Markdown output (ocr.md -> ocr-cleanup.diff)
+const cleanupDiffFileFor = (markdownFile) => `${markdownFile.replace(/\.md$/i, '')}-cleanup.diff`;
+// One model setting for every script; OLLAMA_MODEL and OLLAMA_VISION_MODEL are older names
+const defaultOllamaModel = process.env.OCR_MODEL || process.env.OLLAMA_MODEL || process.env.OLLAMA_VISION_MODEL || 'gemma3:12b-it-qat';
+// OCR backend: ollama (default), openai (OpenAI-compatible /v1/chat/completions, e.g. llama.cpp server, LM Studio) or tesseract
+const ocrBackendType = process.env.OCR_BACKEND || 'ollama';
+const ocrBackendConfig = {
+    type: ocrBackendType,
+    host: process.env.OCR_HOST || (ocrBackendType === 'ollama' ? process.env.OLLAMA_HOST : undefined),
+    apiKey: process.env.OCR_API_KEY,
+    tesseractPath: process.env.TESSERACT_PATH || 'tesseract',
+    tesseractLang: process.env.TESSERACT_LANG || 'eng',
+};
+// Prompt profile (built-in or from prompts.json) and its variables, e.g. OCR_PROMPT=textbook OCR_LANGUAGE=German
+const promptProfileName = process.env.OCR_PROMPT || 'kindle';
+const promptVariablesSetting = process.env.OCR_PROMPT_VARS || '';
 // Use the same global timeout
 const ollamaTimeoutMs = TIMEOUT_MS;
+// Job runner: parallel requests, per-page timeout, retries with exponential backoff on transient errors
+const ocrConcurrency = parseInt(process.env.OCR_CONCURRENCY ?? '1', 10);
+const ocrPageTimeoutMs = parseInt(process.env.OCR_TIMEOUT_MS ?? String(ollamaTimeoutMs), 10);
+const ocrRetries = parseInt(process.env.OCR_RETRIES ?? '3', 10);
+const ocrRetryDelayMs = parseInt(process.env.OCR_RETRY_DELAY_MS ?? '2000', 10);
+// Pages to OCR again even if cached, e.g. "3,7-9" or "all" (positions in page order, starting at 1)
+const forcePagesSetting = process.env.OCR_FORCE_PAGES || '';
+// Pages to process at all, e.g. "1-50" (same numbering; default all)
+const pagesSetting = process.env.PAGES || 'all';
 
-const numericalSort = (a, b) => {
-    const numA = parseInt(a.match(/^(\d+)/)?.[1] || '0', 10);
-    const numB = parseInt(b.match(/^(\d+)/)?.[1] || '0', 10);
-    return numA - numB;
-};
+// Exit code of a run that finished but could not transcribe every page (errors exit with 1)
+export const EXIT_PAGES_FAILED = 3;
+
+// Position of each selected file in the full page order, so page numbers (OCR_FORCE_PAGES,
+// the report, PDF page labels) stay the same when PAGES selects only part of the book
+const pagePositions = new Map();
 
 // --- Reusable Functions (Exported) ---
 
 /**
- * Reads the screenshots directory, filters for PNGs, and returns a sorted list.
- * @returns {Promise<string[]>} A promise resolving to an array of sorted PNG filenames.
- * @throws {Error} If the directory cannot be read or no PNGs are found.
+ * Reads the screenshots directory, filters for PNGs, and returns them in page order.
+ * When the directory has a capture manifest, its page order is used; PNGs not listed
+ * in the manifest are appended in numerical order. Only the pages selected by PAGES are returned.
+ * @returns {Promise<string[]>} A promise resolving to an array of ordered PNG filenames.
+ * @throws {Error} If the directory cannot be read, PAGES is invalid or no PNGs are selected.
  */
 export async function getScreenshotFiles() {
     try {
         const allFiles = await fs.readdir(screenshotsDir);
-        const screenshotFiles = allFiles
-            .filter(file => file.toLowerCase().endsWith('.png'))
-            .sort(numericalSort);
+        const pngFiles = allFiles.filter(file => file.toLowerCase().endsWith('.png'));
+
+        const manifest = loadManifest(screenshotsDir);
+        const { ordered: screenshotFiles, unlisted } = orderPageFiles(pngFiles, manifest);
+        if (manifest.pages.length > 0) {
+            const listedCount = screenshotFiles.length - unlisted.length;
+            console.log(`Using page order from ${MANIFEST_FILENAME} (${listedCount} listed page(s) found).`);
+            if (listedCount < manifest.pages.length) {
+                console.warn(`Warning: ${manifest.pages.length - listedCount} page(s) listed in ${MANIFEST_FILENAME} are missing from the folder.`);
+            }
+            if (unlisted.length > 0) {
+                console.warn(`Warning: ${unlisted.length} PNG file(s) not in ${MANIFEST_FILENAME}, appended in numerical order.`);
+            }
+        }
 
         if (screenshotFiles.length === 0) {
             throw new Error('No .png files found in the screenshots directory.');
         }
-        console.log(`Found ${screenshotFiles.length} screenshot file(s).`);
-        return screenshotFiles;
+        const isSelectedPage = parsePageRanges(pagesSetting);
+        const selectedFiles = screenshotFiles.filter((file, index) => isSelectedPage(index + 1));
+        screenshotFiles.forEach((file, index) => pagePositions.set(file, index + 1));
+        if (selectedFiles.length === 0) {
+            throw new Error(`PAGES=${pagesSetting} selects none of the ${screenshotFiles.length} screenshot file(s).`);
+        }
+        console.log(`Found ${screenshotFiles.length} screenshot file(s)${selectedFiles.length < screenshotFiles.length ? `, ${selectedFiles.length} selected by PAGES=${pagesSetting}` : ''}.`);
+        return selectedFiles;
     } catch (error) {
         if (error.code === 'ENOENT') {
             throw new Error(`Screenshots directory not found at ${screenshotsDir}`);
@@ -72,40 +112,323 @@ export async function getScreenshotFiles() {
 }
 
 /**
- * Performs OCR on a single image file using Ollama.
+ * Parses a page selection such as "3,7-9" or "all".
+ * @param {string} value - The selection (empty selects nothing).
+ * @returns {(pageNumber: number) => boolean} A predicate for 1-based page numbers.
+ * @throws {Error} If a part of the selection is not a number or range.
+ */
+export function parsePageRanges(value) {
+    const spec = String(value || '').trim().toLowerCase();
+    if (spec === 'all') return () => true;
+    const ranges = spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) throw new Error(`Invalid page range "${part}" (expected e.g. 3,7-9)`);
+        return [parseInt(match[1], 10), parseInt(match[2] ?? match[1], 10)];
+    });
+    return (pageNumber) => ranges.some(([from, to]) => pageNumber >= from && pageNumber <= to);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Formats a duration for progress lines: "4m05s", or "2h10m" from an hour on.
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+export function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return hours > 0 ? `${hours}h${String(minutes).padStart(2, '0')}m` : `${minutes}m${String(seconds).padStart(2, '0')}s`;
+}
+
+let ocrBackend = null;
+
+/**
+ * Returns the configured OCR backend (created on first use).
+ * @returns {object} The backend, see ocr-backends.js.
+ * @throws {Error} If OCR_BACKEND names an unknown backend.
+ */
+export function getOcrBackend() {
+    if (!ocrBackend) ocrBackend = createOcrBackend(ocrBackendConfig);
+    return ocrBackend;
+}
+
+let promptProfile = null;
+
+/**
+ * Returns the transcription prompt profile selected by configuration (OCR_PROMPT and its variables).
+ * @returns {{name: string, prompt: string, variables: Record<string, string>, ignore: string, formatRules: string}} The resolved profile.
+ * @throws {Error} If the profile or one of its variables is invalid.
+ */
+export function getPromptProfile() {
+    if (!promptProfile) {
+        promptProfile = resolvePromptProfile(promptProfileName, {
+            variables: {
+                ...parsePromptVariables(promptVariablesSetting),
+                language: process.env.OCR_LANGUAGE,
+                tables: process.env.OCR_TABLES,
+                math: process.env.OCR_MATH,
+            },
+        });
+    }
+    return promptProfile;
+}
+
+// Asks for line geometry too, used to align the PDF text layer; built from the same profile as the transcription prompt
+const getLayoutPrompt = () => renderLayoutPrompt(getPromptProfile());
+
+/**
+ * Returns the default OCR settings, e.g. to show them in the review UI.
+ * @returns {{model: string, prompt: string, promptProfile: string, screenshotsDir: string}} The default model, transcription prompt and its profile, and the screenshots directory.
+ */
+export function getOcrDefaults() {
+    const { name, prompt } = getPromptProfile();
+    return { model: defaultOllamaModel, prompt, promptProfile: name, screenshotsDir };
+}
+
+/**
+ * Checks the OCR backend, prompt profile, page selection and job runner settings taken from the environment.
+ * @throws {Error} If the backend or prompt profile is invalid, PAGES is not a page selection or a setting is not a valid number.
+ */
+export function validateOcrSettings() {
+    getOcrBackend();
+    getPromptProfile();
+    try {
+        parsePageRanges(pagesSetting);
+    } catch (error) {
+        throw new Error(`PAGES is invalid. ${error.message}`);
+    }
+    for (const [name, value] of Object.entries({ OCR_CONCURRENCY: ocrConcurrency, OCR_TIMEOUT_MS: ocrPageTimeoutMs })) {
+        if (isNaN(value) || value < 1) throw new Error(`${name} must be a positive integer.`);
+    }
+    for (const [name, value] of Object.entries({ OCR_RETRIES: ocrRetries, OCR_RETRY_DELAY_MS: ocrRetryDelayMs })) {
+        if (isNaN(value) || value < 0) throw new Error(`${name} must be a non-negative integer.`);
+    }
+}
+
+// Runs a backend call with an abort signal that fires after timeoutMs (rejecting with a 'TimeoutError')
+async function withTimeout(timeoutMs, call) {
+    const controller = new AbortController();
+    const timeoutError = new Error(`Timed out after ${formatDuration(timeoutMs)}`);
+    timeoutError.name = 'TimeoutError';
+    const timer = setTimeout(() => controller.abort(timeoutError), timeoutMs);
+    try {
+        return await call(controller.signal);
+    } catch (error) {
+        throw controller.signal.aborted ? timeoutError : error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Tells whether an OCR error is worth retrying (timeouts, connection problems, overloaded server).
+ * @param {Error} error - The error thrown by transcribeImage.
+ * @returns {boolean} True for transient errors.
+ */
+export function isTransientError(error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return true;
+    const status = error.status_code ?? error.status;
+    if (status) return status === 429 || status >= 500;
+    const code = error.code ?? error.cause?.code;
+    if (['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_HEADERS_TIMEOUT'].includes(code)) return true;
+    return /fetch failed|socket hang up|network/i.test(error.message);
+}
+
+/**
+ * Transcribes one image with the configured backend, using the OCR cache. Unlike performOcrOnImage, failures are thrown.
+ * @param {string} imageFilename - The filename of the image within the screenshots directory.
+ * @param {string} [model] - The model to use (ignored by the tesseract backend).
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Ignore a cached result and OCR the image again.
+ * @param {number} [options.timeoutMs] - Abort the request after this long.
+ * @param {string} [options.prompt] - A different prompt than the default transcription prompt.
+ * @param {Console} [options.logger=console] - Where progress messages go (see runOcrJobs).
+ * @returns {Promise<{text: string, cached: boolean}>} The transcription and whether it came from the cache.
+ * @throws {Error} If the request fails, times out (error name 'TimeoutError') or returns no content.
+ */
+export async function transcribeImage(imageFilename, model = defaultOllamaModel, { force = false, timeoutMs = ocrPageTimeoutMs, prompt = getPromptProfile().prompt, logger = console } = {}) {
+    const backend = getOcrBackend();
+    const cacheModel = backend.cacheModel(model);
+    const imageBuffer = await fs.readFile(path.join(screenshotsDir, imageFilename));
+    const cacheKey = ocrCacheKey(imageBuffer, cacheModel, prompt);
+    if (!force) {
+        const cachedText = await readCachedOcr(cacheKey, cacheModel);
+        if (cachedText !== null) {
+            logger.log(`  - OCR for ${imageFilename} using ${cacheModel}: cached.`);
+            return { text: repairTranscription(cachedText, getPromptProfile().variables).text, cached: true };
+        }
+    }
+
+    logger.log(`  - OCR for ${imageFilename} using ${cacheModel} (${backend.name})...`);
+    const content = await withTimeout(timeoutMs, signal =>
+        backend.transcribe({ image: imageBuffer, prompt, model, signal }));
+
+    if (!content || !content.trim()) {
+        throw new Error(`Received no content from ${backend.name}`);
+    }
+    let transcribedText = content.trim();
+    // Basic cleanup
+    transcribedText = transcribedText.replace(/^```(markdown)?\s*/, '').replace(/```\s*$/, '');
+    // The model's own answer is cached; repairs are re-applied on every read
+    await writeCachedOcr(cacheKey, cacheModel, transcribedText, imageFilename);
+    const { text, repairs } = repairTranscription(transcribedText, getPromptProfile().variables);
+    if (repairs.length > 0) logger.log(`  - Repaired output of ${imageFilename}: ${repairs.join(', ')}.`);
+    return { text, cached: false };
+}
+
+/**
+ * Looks up the cached transcription of an image without running OCR.
  * @param {string} imageFilename - The filename of the image within the screenshots directory.
- * @param {string} [model] - The Ollama model to use (defaults to environment variable or 'gemma3:12b-it-qat').
- * @returns {Promise<string|null>} A promise resolving to the transcribed text, or null if OCR fails or returns no content.
+ * @param {string} [model] - The model whose result to look up.
+ * @returns {Promise<string|null>} The cached text, or null if the page wasn't transcribed with this model yet.
+ */
+export async function readCachedTranscription(imageFilename, model = defaultOllamaModel) {
+    const cacheModel = getOcrBackend().cacheModel(model);
+    const imageBuffer = await fs.readFile(path.join(screenshotsDir, imageFilename));
+    const { prompt, variables } = getPromptProfile();
+    const cachedText = await readCachedOcr(ocrCacheKey(imageBuffer, cacheModel, prompt), cacheModel);
+    return cachedText === null ? null : repairTranscription(cachedText, variables).text;
+}
+
+/**
+ * Parses a model's layout answer (see renderLayoutPrompt) into text lines in image pixels.
+ * @param {string} content - The raw model output; may be wrapped in a code fence or surrounded by prose.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @returns {{text: string, x: number, y: number, width: number, height: number}[]|null} The lines, or null if no usable geometry was found.
  */
-export async function performOcrOnImage(imageFilename, model = defaultOllamaModel) {
-    const fullImagePath = path.join(screenshotsDir, imageFilename);
-    console.log(`  - OCR for ${imageFilename} using ${model}...`);
+export function parseLayoutResponse(content, width, height) {
+    const start = content.indexOf('[');
+    const end = content.lastIndexOf(']');
+    if (start === -1 || end <= start) return null;
+    let entries;
     try {
-        const imageBuffer = await fs.readFile(fullImagePath);
-        const imageBase64 = imageBuffer.toString('base64');
-
-        const response = await ollama.chat({
-            model: model,
-            messages: [{
-                role: 'user',
-                content: transcriptionPrompt,
-                images: [imageBase64]
-            }],
-            options: {
-                timeout: ollamaTimeoutMs
-            }
-        });
+        entries = JSON.parse(content.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+    if (!Array.isArray(entries)) return null;
 
-        if (response?.message?.content) {
-            let transcribedText = response.message.content.trim();
-            // Basic cleanup
-            transcribedText = transcribedText.replace(/^```(markdown)?\s*/, '').replace(/```\s*$/, '');
-            console.log(`    OCR Success for ${imageFilename}.`);
-            return transcribedText;
-        } else {
-            console.warn(`  - Warning: Received no content from Ollama for ${imageFilename}.`);
-            return null;
+    const scale = (value, size) => Math.min(size, Math.max(0, value / 1000 * size));
+    const lines = entries
+        .filter(entry => typeof entry?.text === 'string' && entry.text.trim() &&
+            Array.isArray(entry.box) && entry.box.length === 4 && entry.box.every(Number.isFinite))
+        .map(({ text, box: [x0, y0, x1, y1] }) => {
+            const left = scale(Math.min(x0, x1), width);
+            const top = scale(Math.min(y0, y1), height);
+            return { text: text.trim(), x: left, y: top, width: scale(Math.max(x0, x1), width) - left, height: scale(Math.max(y0, y1), height) - top };
+        })
+        .filter(line => line.width > 0 && line.height > 0);
+    return lines.length > 0 ? lines : null;
+}
+
+// Text of a layout answer without usable geometry: the "text" of its JSON entries, or the answer itself
+function layoutAnswerText(content) {
+    const start = content.indexOf('[');
+    const end = content.lastIndexOf(']');
+    if (start !== -1 && end > start) {
+        try {
+            const entries = JSON.parse(content.slice(start, end + 1));
+            const texts = Array.isArray(entries) ? entries.map(entry => typeof entry?.text === 'string' ? entry.text.trim() : '').filter(Boolean) : [];
+            if (texts.length > 0) return texts.join('\n');
+        } catch {
+            // Not JSON after all; use the answer as it is
+        }
+    }
+    return content.trim().replace(/^```(\w+)?\s*/, '').replace(/```\s*$/, '').trim();
+}
+
+// A cached layout transcription: an array of lines, or {text} for an answer without usable geometry
+function parseCachedLayout(cachedLayout) {
+    const cached = JSON.parse(cachedLayout);
+    if (!Array.isArray(cached)) return { text: cached.text, lines: null };
+    return { text: cached.map(line => line.text).join('\n'), lines: cached };
+}
+
+/**
+ * Looks up the cached layout transcription of an image (see transcribeLayout, used by pdf.js with
+ * PDF_TEXT_LAYOUT=lines) without running OCR.
+ * @param {string} imageFilename - The filename of the image within the screenshots directory.
+ * @param {string} [model] - The model whose result to look up.
+ * @returns {Promise<string|null>} The cached text, or null if the page has no layout transcription with this model.
+ */
+export async function readCachedLayoutTranscription(imageFilename, model = defaultOllamaModel) {
+    const backend = getOcrBackend();
+    const cacheModel = backend.cacheModel(model);
+    const imageBuffer = await fs.readFile(path.join(screenshotsDir, imageFilename));
+    const cachedLayout = await readCachedOcr(ocrCacheKey(imageBuffer, cacheModel, backend.layout ? 'layout:native' : getLayoutPrompt()), cacheModel);
+    return cachedLayout === null ? null : parseCachedLayout(cachedLayout).text;
+}
+
+/**
+ * Transcribes one image together with the position of each text line (and of each word, when the
+ * backend provides it natively, like Tesseract). Uses the OCR cache like transcribeImage.
+ * Vision models are asked for line boxes with the layout prompt of the selected profile; if their answer has no usable
+ * geometry, its text is used without lines (and cached that way, so reruns don't ask again).
+ * @param {string} imageFilename - The filename of the image within the screenshots directory.
+ * @param {string} [model] - The model to use (ignored by the tesseract backend).
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Ignore a cached result and OCR the image again.
+ * @param {number} [options.timeoutMs] - Abort the request after this long.
+ * @param {Console} [options.logger=console] - Where progress messages go (see runOcrJobs).
+ * @returns {Promise<{text: string, lines: object[]|null, cached: boolean}>} Text, lines in image pixels (top-left origin) or null, and whether it came from the cache.
+ * @throws {Error} If the request fails or times out.
+ */
+export async function transcribeLayout(imageFilename, model = defaultOllamaModel, { force = false, timeoutMs = ocrPageTimeoutMs, logger = console } = {}) {
+    const backend = getOcrBackend();
+    const cacheModel = backend.cacheModel(model);
+    const imageBuffer = await fs.readFile(path.join(screenshotsDir, imageFilename));
+    const layoutPrompt = backend.layout ? null : getLayoutPrompt();
+    const cacheKey = ocrCacheKey(imageBuffer, cacheModel, layoutPrompt ?? 'layout:native');
+    if (!force) {
+        const cachedLayout = await readCachedOcr(cacheKey, cacheModel);
+        if (cachedLayout !== null) {
+            logger.log(`  - Layout OCR for ${imageFilename} using ${cacheModel}: cached.`);
+            return { ...parseCachedLayout(cachedLayout), cached: true };
         }
+    }
+
+    logger.log(`  - Layout OCR for ${imageFilename} using ${cacheModel} (${backend.name})...`);
+    let lines;
+    let content = '';
+    if (backend.layout) {
+        lines = await withTimeout(timeoutMs, signal => backend.layout({ image: imageBuffer, signal }));
+    } else {
+        content = await withTimeout(timeoutMs, signal =>
+            backend.transcribe({ image: imageBuffer, prompt: layoutPrompt, model, signal })) || '';
+        const { width, height } = await sharp(imageBuffer).metadata();
+        lines = parseLayoutResponse(content, width, height);
+    }
+
+    if (!lines || lines.length === 0) {
+        const text = layoutAnswerText(content);
+        if (!text) throw new Error(`Received no content from ${backend.name}`);
+        logger.warn(`  - No line positions for ${imageFilename}, using the text without them.`);
+        await writeCachedOcr(cacheKey, cacheModel, JSON.stringify({ text }), imageFilename);
+        return { text, lines: null, cached: false };
+    }
+    await writeCachedOcr(cacheKey, cacheModel, JSON.stringify(lines), imageFilename);
+    return { text: lines.map(line => line.text).join('\n'), lines, cached: false };
+}
+
+/**
+ * Performs OCR on a single image file using the configured backend (Ollama by default).
+ * Successful results are cached on disk (keyed by image content, model and prompt), so
+ * re-running only processes new or previously failed images.
+ * @param {string} imageFilename - The filename of the image within the screenshots directory.
+ * @param {string} [model] - The model to use (defaults to OCR_MODEL/OLLAMA_MODEL or 'gemma3:12b-it-qat').
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Ignore a cached result and OCR the image again.
+ * @returns {Promise<string|null>} A promise resolving to the transcribed text, or null if OCR fails or returns no content.
+ */
+export async function performOcrOnImage(imageFilename, model = defaultOllamaModel, { force = false } = {}) {
+    try {
+        const { text, cached } = await transcribeImage(imageFilename, model, { force });
+        if (!cached) console.log(`    OCR Success for ${imageFilename}.`);
+        return text;
     } catch (imageError) {
         console.error(`  - Error processing ${imageFilename}:`, imageError.message);
         if (imageError.cause) console.error('    Cause:', imageError.cause);
@@ -113,41 +436,276 @@ export async function performOcrOnImage(imageFilename, model = defaultOllamaMode
     }
 }
 
+// Transcribes one page, retrying transient errors with exponential backoff (and some jitter)
+async function ocrPageWithRetries(filename, pageNumber, { model, layout, force, timeoutMs, retries, retryDelayMs, logger }) {
+    for (let attempt = 1; ; attempt++) {
+        const startedAt = Date.now();
+        try {
+            const { text, lines = null, cached } = layout
+                ? await transcribeLayout(filename, model, { force, timeoutMs, logger })
+                : await transcribeImage(filename, model, { force, timeoutMs, logger });
+            return { page: pageNumber, filename, text, lines, cached, attempts: attempt, durationMs: Date.now() - startedAt, error: null };
+        } catch (error) {
+            const transient = isTransientError(error);
+            if (!transient || attempt > retries) {
+                logger.error(`  - Error processing ${filename}: ${error.message}${transient ? ` (gave up after ${attempt} attempts)` : ''}`);
+                return { page: pageNumber, filename, text: null, cached: false, attempts: attempt, durationMs: Date.now() - startedAt, error: error.message, transient };
+            }
+            const delay = Math.round(retryDelayMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5));
+            logger.warn(`  - ${filename}: ${error.message}. Retrying in ${formatDuration(delay)} (attempt ${attempt + 1}/${retries + 1})...`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Reviewed text of a page, if its screenshot hasn't changed since the review
+async function findPageCorrection(corrections, filename) {
+    if (!corrections.pages[filename]) return null;
+    return findCorrection(corrections, filename, hashImage(await fs.readFile(path.join(screenshotsDir, filename))));
+}
+
+/**
+ * OCRs many pages with a pool of concurrent workers.
+ * Results are handed to `onPageReady` strictly in page order, whatever order they finish in,
+ * and a JSON report of the run (including every failed page and why) is built at the end.
+ * @param {string[]} files - Image filenames in page order.
+ * @param {object} [options]
+ * @param {string} [options.model] - The model to use.
+ * @param {boolean} [options.layout=false] - Also locate text lines (results then carry `lines`, see transcribeLayout).
+ * @param {number} [options.concurrency] - Number of pages processed at once (OCR_CONCURRENCY).
+ * @param {number} [options.timeoutMs] - Per-page timeout (OCR_TIMEOUT_MS).
+ * @param {number} [options.retries] - Retries per page on transient errors (OCR_RETRIES).
+ * @param {number} [options.retryDelayMs] - First backoff delay, doubled on each retry (OCR_RETRY_DELAY_MS).
+ * @param {(pageNumber: number) => boolean} [options.isForcedPage] - Pages to OCR again despite a cached result.
+ * @param {boolean} [options.useCorrections=true] - Use texts saved in the review UI (corrections.json) instead of OCR; such results have `corrected: true` and no lines.
+ * @param {number[]} [options.pageNumbers] - Page numbers of the files (defaults to their position in the book, see getScreenshotFiles).
+ * @param {(result: object) => Promise<void>|void} [options.onPageReady] - Called once per page, in page order.
+ * @param {(progress: {completed: number, total: number, failed: number}) => void} [options.onProgress] - Called after each page instead of logging a progress line.
+ * @param {string|null} [options.reportPath] - Where to write the JSON report (null, the default, to skip: only ocr.js writes
+ *     OCR_REPORT, so it always describes the last ocr.js run, which project status relies on).
+ * @param {Console} [options.logger=console] - Where the per-page messages go; only log, warn and error are used
+ *     (watch.js passes one that hides the log messages behind its status line).
+ * @returns {Promise<{results: object[], report: object}>} Per-page results (text is null on failure) and the report.
+ * @throws {Error} The first error thrown by onPageReady (after the pages in progress have finished).
+ */
+export async function runOcrJobs(files, {
+    model = defaultOllamaModel,
+    layout = false,
+    concurrency = ocrConcurrency,
+    timeoutMs = ocrPageTimeoutMs,
+    retries = ocrRetries,
+    retryDelayMs = ocrRetryDelayMs,
+    isForcedPage = () => false,
+    useCorrections = true,
+    pageNumbers = null,
+    onPageReady = () => {},
+    onProgress = null,
+    reportPath = null,
+    logger = console,
+} = {}) {
+    const startedAt = Date.now();
+    const corrections = useCorrections ? loadCorrections(screenshotsDir) : { pages: {} };
+    const results = new Array(files.length);
+    let nextJob = 0;
+    let completed = 0;
+    let failed = 0;
+
+    // Hand results over in page order: a finished page waits until all earlier pages are done.
+    // If onPageReady fails, no further pages are started or handed over, and the error is rethrown at the end.
+    let nextToEmit = 0;
+    let emitChain = Promise.resolve();
+    let emitError = null;
+    const emitReady = () => {
+        while (nextToEmit < files.length && results[nextToEmit]) {
+            const result = results[nextToEmit++];
+            emitChain = emitChain
+                .then(() => emitError ? undefined : onPageReady(result))
+                .catch((error) => { emitError = emitError || error; });
+        }
+    };
+
+    const worker = async () => {
+        while (!emitError && nextJob < files.length) {
+            const index = nextJob++;
+            const pageNumber = pageNumbers ? pageNumbers[index] : pagePositions.get(files[index]) ?? index + 1;
+            // An unreadable screenshot gets no correction; the OCR attempt then reports it as a failed page
+            const correction = await findPageCorrection(corrections, files[index]).catch(() => null);
+            if (correction) {
+                // Reviewed text wins over OCR (even for forced pages)
+                logger.log(`  - ${files[index]}: using reviewed text from corrections.`);
+                results[index] = { page: pageNumber, filename: files[index], text: correction.text, lines: null, cached: false, corrected: true, attempts: 0, durationMs: 0, error: null };
+            } else {
+                results[index] = await ocrPageWithRetries(files[index], pageNumber, {
+                    model, layout, force: isForcedPage(pageNumber), timeoutMs, retries, retryDelayMs, logger,
+                });
+            }
+            completed++;
+            if (results[index].text === null) failed++;
+
+            if (onProgress) {
+                onProgress({ completed, total: files.length, failed });
+            } else {
+                const elapsedMs = Date.now() - startedAt;
+                const etaMs = elapsedMs / completed * (files.length - completed);
+                logger.log(`Progress: ${completed}/${files.length} page(s) (${Math.floor(completed / files.length * 100)}%), ` +
+                    `${failed} failed, elapsed ${formatDuration(elapsedMs)}, ETA ${formatDuration(etaMs)}`);
+            }
+            emitReady();
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, files.length)) }, worker));
+    await emitChain;
+    if (emitError) throw emitError;
+
+    const report = buildOcrReport(results, { model, startedAt });
+    if (reportPath) await saveOcrReport(report, reportPath);
+    return { results, report };
+}
+
+/**
+ * Summarises OCR results for the report file.
+ * @param {object[]} results - Per-page results from runOcrJobs.
+ * @param {{model: string, startedAt: number}} run - The model and start time (ms) of the run.
+ * @returns {object} The report: the PAGES selection, counts and every failed page with its error.
+ */
+export function buildOcrReport(results, { model, startedAt }) {
+    return {
+        model,
+        pages: pagesSetting,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt,
+        total: results.length,
+        succeeded: results.filter(result => result.text !== null).length,
+        cached: results.filter(result => result.cached).length,
+        corrected: results.filter(result => result.corrected).length,
+        failed: results
+            .filter(result => result.text === null)
+            .map(({ page, filename, error, transient, attempts }) => ({ page, filename, error, transient, attempts })),
+    };
+}
+
+/**
+ * Writes an OCR report.
+ * @param {object} report - From buildOcrReport.
+ * @param {string} [reportPath] - The report file (defaults to OCR_REPORT or ./ocr-report.json).
+ */
+export async function saveOcrReport(report, reportPath = ocrReportFile) {
+    await fs.mkdir(path.dirname(reportPath), { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2) + '\n');
+    console.log(`OCR report written to ${reportPath} (${report.succeeded} succeeded, ${report.failed.length} failed).`);
+}
+
+
+// --- Markdown Writer (Exported) ---
+
+/**
+ * Creates the Markdown output that pages are appended to one by one, in page order. Raw page texts
+ * are appended as they arrive; `finish` replaces them with the cleaned-up document (see text-cleanup.js).
+ * Used by generateMarkdownFile and by the live mode in watch.js.
+ * @param {object} options
+ * @param {{rules: Set<string>}} options.cleanupOptions - From getCleanupOptions.
+ * @param {string} [options.outputFile] - The Markdown file (defaults to OCR_OUTPUT or ./ocr.md).
+ * @param {Console} [options.logger=console] - Where messages go (see runOcrJobs).
+ * @returns {Promise<{addPage: (result: {filename: string, text: string|null}) => Promise<void>, finish: () => Promise<boolean>}>}
+ *   `finish` returns whether any page had text.
+ */
+export async function createMarkdownWriter({ cleanupOptions, outputFile = markdownOutputFile, logger = console }) {
+    const markdownHeader = `# Transcription Results\n\n`;
+    await fs.mkdir(path.dirname(outputFile), { recursive: true });
+    await fs.writeFile(outputFile, markdownHeader);
+    logger.log(`Initialized markdown file: ${outputFile}`);
+
+    const pageTexts = [];
+    const pageFiles = [];
+    let rawMarkdown = markdownHeader;
+    let successfulProcessing = false;
+
+    const addPage = async ({ filename, text }) => {
+        pageTexts.push(text);
+        pageFiles.push(filename);
+        let outputChunk;
 
-// --- Function to Generate Markdown File (for standalone execution) ---
-async function generateMarkdownFile() {
+        if (text !== null) {
+            outputChunk = `${text}\n\n`;
+            successfulProcessing = true;
+        } else {
+            outputChunk = `\n\n[OCR Warning/Error for ${filename}]\n\n`;
+        }
+        rawMarkdown += outputChunk;
+        await fs.appendFile(outputFile, outputChunk);
+    };
+
+    const finish = async () => {
+        if (cleanupOptions.rules.size > 0) {
+            const { markdown, changes, removedLines } = cleanupPages(pageTexts, {
+                ...cleanupOptions,
+                placeholder: (index) => `[OCR Warning/Error for ${pageFiles[index]}]`,
+            });
+            const cleanedMarkdown = `${markdownHeader}${markdown}\n`;
+            const diffFile = cleanupDiffFileFor(outputFile);
+            await fs.writeFile(outputFile, cleanedMarkdown);
+            await fs.writeFile(diffFile, cleanupDiff(rawMarkdown, cleanedMarkdown, path.basename(outputFile)));
+            logger.log(`\nText cleanup: ${Object.entries(changes).map(([rule, count]) => `${rule} ${count}`).join(', ')}. Diff written to ${diffFile}`);
+            for (const { line, pages } of removedLines.slice(0, 10)) {
+                logger.log(`  - Removed running header/footer (${pages} pages): ${line}`);
+            }
+        }
+        logger.log(`\nMarkdown generation completed. Results saved to ${outputFile}`);
+        return successfulProcessing;
+    };
+
+    return { addPage, finish };
+}
+
+// --- Function to Generate Markdown File (Exported, for standalone execution and the CLI) ---
+
+/**
+ * OCRs the screenshots into the Markdown file. Sets process.exitCode to 1 on errors and to
+ * EXIT_PAGES_FAILED when some pages could not be transcribed.
+ * @returns {Promise<void>}
+ */
+export async function generateMarkdownFile() {
     const modelToUse = defaultOllamaModel;
-    console.log(`Starting Markdown generation process using model: ${modelToUse}`);
+    console.log(`Starting Markdown generation process using model: ${modelToUse} (backend: ${ocrBackendConfig.type})`);
     console.log(`Output file: ${markdownOutputFile}`);
-    console.log(`Timeout set to: ${TIMEOUT_MINUTES} minutes`);
+    console.log(`Timeout set to: ${formatDuration(ocrPageTimeoutMs)} per page, ${ocrRetries} retries on transient errors`);
+
+    let isForcedPage;
+    let cleanupOptions;
+    try {
+        validateOcrSettings();
+        isForcedPage = parsePageRanges(forcePagesSetting);
+        cleanupOptions = getCleanupOptions();
+    } catch (error) {
+        console.error('Configuration error:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`Prompt profile: ${getPromptProfile().name}`);
 
     let screenshotFiles;
     try {
         screenshotFiles = await getScreenshotFiles();
     } catch (error) {
         console.error("Error getting screenshot files:", error.message);
+        process.exitCode = 1;
         return; // Stop if files can't be listed
     }
 
-    let successfulProcessing = false;
     try {
-        await fs.writeFile(markdownOutputFile, `# Transcription Results\n\n`);
-        console.log(`Initialized markdown file: ${markdownOutputFile}`);
-
-        for (const filename of screenshotFiles) {
-            const transcribedText = await performOcrOnImage(filename); // Use default model
-            let outputChunk;
+        const writer = await createMarkdownWriter({ cleanupOptions });
+        console.log(`Processing ${screenshotFiles.length} page(s) with concurrency ${ocrConcurrency}...`);
 
-            if (transcribedText !== null) {
-                outputChunk = `${transcribedText}\n\n`;
-                successfulProcessing = true;
-            } else {
-                outputChunk = `\n\n[OCR Warning/Error for ${filename}]\n\n`;
-            }
-            await fs.appendFile(markdownOutputFile, outputChunk);
-        }
+        const { report } = await runOcrJobs(screenshotFiles, {
+            model: modelToUse,
+            isForcedPage,
+            onPageReady: writer.addPage,
+            reportPath: ocrReportFile,
+        });
 
-        console.log(`\nMarkdown generation completed. Results saved to ${markdownOutputFile}`);
+        const successfulProcessing = await writer.finish();
+        if (report.failed.length > 0) process.exitCode = EXIT_PAGES_FAILED;
 
         if (successfulProcessing) {
             try {
@@ -164,6 +722,7 @@ async function generateMarkdownFile() {
 
     } catch (error) {
         console.error('\nAn error occurred during Markdown generation:', error);
+        process.exitCode = 1;
     }
 }
 
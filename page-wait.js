@@ -0,0 +1,137 @@
+const { hashImage } = require('./image-utils');
+
+// Strategies that can be combined in WAIT_STRATEGY (comma-separated). 'auto' expands to all adaptive ones.
+const WAIT_STRATEGIES = ['fixed', 'mutation', 'network', 'visual'];
+const AUTO_STRATEGIES = ['mutation', 'network', 'visual'];
+
+// How often the mutation and visual strategies re-check the page
+const POLL_INTERVAL_MS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parses a WAIT_STRATEGY value such as "fixed", "auto" or "mutation,visual".
+ * @param {string} value - The raw strategy setting.
+ * @returns {string[]} The list of strategies to combine.
+ * @throws {Error} If an unknown strategy is named, or 'fixed' is combined with others.
+ */
+function parseWaitStrategy(value) {
+    const names = String(value || 'fixed').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const strategies = [...new Set(names.flatMap(name => name === 'auto' ? AUTO_STRATEGIES : [name]))];
+    const unknown = strategies.filter(name => !WAIT_STRATEGIES.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown wait strategy: ${unknown.join(', ')} (expected ${WAIT_STRATEGIES.join(', ')} or auto)`);
+    }
+    if (strategies.includes('fixed') && strategies.length > 1) {
+        throw new Error("The 'fixed' wait strategy cannot be combined with others.");
+    }
+    return strategies.length > 0 ? strategies : ['fixed'];
+}
+
+// --- DOM mutation quiet period ---
+
+function installMutationWatcher(page) {
+    return page.evaluate(() => {
+        if (window.__moveShotTurn) window.__moveShotTurn.observer.disconnect();
+        const state = { count: 0, last: performance.now(), observer: null };
+        state.observer = new MutationObserver((mutations) => {
+            state.count += mutations.length;
+            state.last = performance.now();
+        });
+        state.observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+        window.__moveShotTurn = state;
+    });
+}
+
+async function waitForMutationQuiet(page, { quietMs, deadline }) {
+    let navigated = false;
+    while (Date.now() < deadline) {
+        const state = await page.evaluate(() => window.__moveShotTurn
+            ? { count: window.__moveShotTurn.count, idleMs: performance.now() - window.__moveShotTurn.last }
+            : null
+        ).catch(() => null);
+
+        if (!state) {
+            // The document was replaced (full navigation): that is a change, watch the new one
+            navigated = true;
+            await installMutationWatcher(page).catch(() => {});
+        } else if ((state.count > 0 || navigated) && state.idleMs >= quietMs) {
+            return true;
+        }
+        await sleep(POLL_INTERVAL_MS);
+    }
+    return false;
+}
+
+// --- Network idle ---
+
+async function waitForNetworkQuiet(page, { quietMs, deadline }) {
+    try {
+        await page.waitForNetworkIdle({ idleTime: quietMs, timeout: Math.max(1, deadline - Date.now()) });
+        return true;
+    } catch (error) {
+        if (error.name === 'TimeoutError') return false;
+        throw error;
+    }
+}
+
+// --- Visual stability ---
+
+async function captureFrameHash(page) {
+    const frame = await page.screenshot({ type: 'jpeg', quality: 40, optimizeForSpeed: true });
+    return hashImage(frame);
+}
+
+async function waitForVisualStability(page, { quietMs, deadline, beforeHash }) {
+    let previousHash = null;
+    while (Date.now() < deadline) {
+        const frameHash = await captureFrameHash(page).catch(() => null);
+        // Stable once two consecutive frames match and differ from what was shown before the click
+        if (frameHash && frameHash !== beforeHash && frameHash === previousHash) return true;
+        previousHash = frameHash;
+        await sleep(Math.min(quietMs, Math.max(0, deadline - Date.now())));
+    }
+    return false;
+}
+
+/**
+ * Prepares to wait for a page turn. Call before clicking, then await `wait()` after the click.
+ * The adaptive strategies need to observe the page before the click to tell that it changed.
+ * @param {import('puppeteer').Page} page - The Puppeteer page.
+ * @param {object} options
+ * @param {string[]} options.strategies - Strategies from parseWaitStrategy; all of them must be satisfied.
+ * @param {number} options.maxMs - Fixed delay for 'fixed', upper bound for the adaptive strategies.
+ * @param {number} options.quietMs - How long the page must stay quiet to count as settled.
+ * @returns {Promise<{wait: () => Promise<{elapsedMs: number, settled: boolean}>}>}
+ */
+async function armPageTurnWait(page, { strategies, maxMs, quietMs }) {
+    if (strategies.includes('mutation')) {
+        await installMutationWatcher(page);
+    }
+    const beforeHash = strategies.includes('visual') ? await captureFrameHash(page) : null;
+
+    return {
+        async wait() {
+            const startedAt = Date.now();
+            if (strategies.includes('fixed')) {
+                await sleep(maxMs);
+                return { elapsedMs: Date.now() - startedAt, settled: true };
+            }
+
+            const deadline = startedAt + maxMs;
+            const waiters = {
+                mutation: () => waitForMutationQuiet(page, { quietMs, deadline }),
+                network: () => waitForNetworkQuiet(page, { quietMs, deadline }),
+                visual: () => waitForVisualStability(page, { quietMs, deadline, beforeHash }),
+            };
+            const results = await Promise.all(strategies.map(name => waiters[name]()));
+            return { elapsedMs: Date.now() - startedAt, settled: results.every(Boolean) };
+        },
+    };
+}
+
+module.exports = {
+    WAIT_STRATEGIES,
+    parseWaitStrategy,
+    armPageTurnWait,
+};
@@ -0,0 +1,101 @@
+import fontkit from '@pdf-lib/fontkit';
+import bidiFactory from 'bidi-js';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const bidi = bidiFactory();
+
+// Bundled default: DejaVu Sans covers Latin, Greek, Cyrillic, Hebrew, Arabic and most typographic symbols
+const bundledFont = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+
+// Fonts used as extra fallbacks when they are installed (TrueType only; .ttc collections can't be embedded)
+const systemFallbackFonts = [
+    '/usr/share/fonts/truetype/droid/DroidSansFallbackFull.ttf', // Debian/Ubuntu, CJK
+    '/usr/share/fonts/google-droid-sans-fonts/DroidSansFallbackFull.ttf', // Fedora, CJK
+    '/System/Library/Fonts/Supplemental/Arial Unicode.ttf', // macOS
+    '/Library/Fonts/Arial Unicode.ttf', // Older macOS / MS Office
+    'C:\\Windows\\Fonts\\arialuni.ttf', // Windows with MS Office
+];
+
+/**
+ * Embeds the text-layer fonts into a PDF document: the configured ones first, then the bundled
+ * DejaVu Sans, then any installed system fallback fonts. Fonts are subset, so only the glyphs
+ * actually used end up in the file.
+ * @param {import('pdf-lib').PDFDocument} pdfDoc - The document to embed into.
+ * @param {string[]} [fontPaths=[]] - Configured TTF/OTF files, in order of preference.
+ * @returns {Promise<{fonts: {path: string, pdfFont: object, glyphs: object}[], missingGlyphs: Set<string>}>} The font set used by drawing helpers.
+ * @throws {Error} If a configured font cannot be read or parsed.
+ */
+export async function embedTextFonts(pdfDoc, fontPaths = []) {
+    pdfDoc.registerFontkit(fontkit);
+    const candidates = [...fontPaths, bundledFont, ...systemFallbackFonts.filter(file => existsSync(file))];
+    const fonts = [];
+    for (const file of [...new Set(candidates)]) {
+        try {
+            const bytes = await fs.readFile(file);
+            fonts.push({
+                path: file,
+                pdfFont: await pdfDoc.embedFont(bytes, { subset: true }),
+                glyphs: fontkit.create(bytes), // Used to check glyph coverage per character
+            });
+        } catch (error) {
+            if (fontPaths.includes(file)) throw new Error(`Could not load font ${file}: ${error.message}`);
+            console.warn(`  - Skipping fallback font ${file}: ${error.message}`);
+        }
+    }
+    return { fonts, missingGlyphs: new Set() };
+}
+
+/**
+ * Splits text into runs that can each be drawn with one font, picking for every character the
+ * first font that has a glyph for it. Right-to-left text is reordered into visual order first,
+ * since PDF text is drawn left to right (viewers restore logical order for search and copy).
+ * Shaping is not needed: the text layer is invisible, only the character codes matter.
+ * @param {string} text - One line of text, in logical order.
+ * @param {{fonts: object[], missingGlyphs: Set<string>}} fontSet - From embedTextFonts.
+ * @returns {{text: string, font: object}[]} The runs, left to right.
+ */
+export function splitIntoFontRuns(text, fontSet) {
+    const levels = bidi.getEmbeddingLevels(text);
+    const visual = bidi.getReorderedString(text, levels);
+
+    const runs = [];
+    for (const char of visual) {
+        const codePoint = char.codePointAt(0);
+        let entry = fontSet.fonts.find(font => font.glyphs.hasGlyphForCodePoint(codePoint));
+        if (!entry) {
+            if (!/\s/.test(char)) fontSet.missingGlyphs.add(char);
+            entry = fontSet.fonts[0]; // Drawn as .notdef: still better than losing the whole page
+        }
+        const last = runs[runs.length - 1];
+        if (last && last.font === entry.pdfFont) last.text += char;
+        else runs.push({ text: char, font: entry.pdfFont });
+    }
+    return runs;
+}
+
+/**
+ * Measures text drawn with splitIntoFontRuns.
+ * @param {{text: string, font: object}[]} runs - The font runs.
+ * @param {number} size - The font size.
+ * @returns {number} The total width.
+ */
+export function widthOfRuns(runs, size) {
+    return runs.reduce((total, run) => total + run.font.widthOfTextAtSize(run.text, size), 0);
+}
+
+/**
+ * Draws a single line of text made of font runs, left to right from (x, y).
+ * @param {import('pdf-lib').PDFPage} page - The page to draw on.
+ * @param {{text: string, font: object}[]} runs - The font runs.
+ * @param {object} options - x, y (baseline), size and any other drawText option (e.g. renderingMode).
+ */
+export function drawRuns(page, runs, { x, y, size, ...drawOptions }) {
+    let cursor = x;
+    for (const run of runs) {
+        page.drawText(run.text, { ...drawOptions, x: cursor, y, size, font: run.font });
+        cursor += run.font.widthOfTextAtSize(run.text, size);
+    }
+}
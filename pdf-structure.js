@@ -0,0 +1,93 @@
+import pdfLib from 'pdf-lib';
+const { PDFName, PDFHexString } = pdfLib;
+
+// --- Document Structure Helpers ---
+// pdf-lib has no API for page labels or outlines, so both are written as raw catalog objects.
+
+/**
+ * Extracts Markdown headings ("# Title", "## Section", ...) from OCR text.
+ * @param {string} text - The page text.
+ * @returns {{title: string, level: number}[]} The headings in reading order.
+ */
+export function extractHeadings(text) {
+    const headings = [];
+    for (const line of (text || '').split(/\r?\n/)) {
+        const match = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (!match) continue;
+        const title = match[2].replace(/[*_`]+/g, '').trim().slice(0, 200);
+        if (title) headings.push({ title, level: match[1].length });
+    }
+    return headings;
+}
+
+/**
+ * Sets the page labels shown by PDF viewers (e.g. the original page numbers after skipped pages).
+ * @param {import('pdf-lib').PDFDocument} pdfDoc - The document.
+ * @param {number[]} labels - One positive page number per PDF page, in page order.
+ */
+export function setPageLabels(pdfDoc, labels) {
+    const context = pdfDoc.context;
+    const nums = [];
+    labels.forEach((label, i) => {
+        // A new label range starts wherever the numbering doesn't simply continue
+        if (i === 0 || label !== labels[i - 1] + 1) {
+            nums.push(i, context.obj({ S: 'D', St: label }));
+        }
+    });
+    pdfDoc.catalog.set(PDFName.of('PageLabels'), context.obj({ Nums: nums }));
+}
+
+/**
+ * Adds a document outline (bookmarks). Entries are nested by level: an entry becomes a child of
+ * the closest preceding entry with a lower level.
+ * @param {import('pdf-lib').PDFDocument} pdfDoc - The document.
+ * @param {{title: string, level: number, pageIndex: number}[]} entries - Outline entries in order; pageIndex is 0-based.
+ */
+export function addOutline(pdfDoc, entries) {
+    if (entries.length === 0) return;
+    const context = pdfDoc.context;
+    const pages = pdfDoc.getPages();
+
+    const root = { ref: context.nextRef(), level: 0, children: [] };
+    const stack = [root];
+    for (const entry of entries) {
+        while (stack.length > 1 && stack[stack.length - 1].level >= entry.level) stack.pop();
+        const node = { ...entry, ref: context.nextRef(), children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    }
+
+    // Writes the children of a node and returns how many descendants it has (all entries are open)
+    const writeChildren = (parent) => {
+        let count = 0;
+        parent.children.forEach((node, i) => {
+            const page = pages[node.pageIndex];
+            const descendants = writeChildren(node);
+            const item = {
+                Title: PDFHexString.fromText(node.title),
+                Parent: parent.ref,
+                Dest: [page.ref, 'XYZ', null, page.getHeight(), null], // Top of the page
+            };
+            if (i > 0) item.Prev = parent.children[i - 1].ref;
+            if (i < parent.children.length - 1) item.Next = parent.children[i + 1].ref;
+            if (node.children.length > 0) {
+                item.First = node.children[0].ref;
+                item.Last = node.children[node.children.length - 1].ref;
+                item.Count = descendants;
+            }
+            context.assign(node.ref, context.obj(item));
+            count += 1 + descendants;
+        });
+        return count;
+    };
+
+    const total = writeChildren(root);
+    context.assign(root.ref, context.obj({
+        Type: 'Outlines',
+        First: root.children[0].ref,
+        Last: root.children[root.children.length - 1].ref,
+        Count: total,
+    }));
+    pdfDoc.catalog.set(PDFName.of('Outlines'), root.ref);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
@@ -1,95 +1,320 @@
 import pdfLib from 'pdf-lib';
-// Destructure TimesRoman instead of Helvetica
-const { PDFDocument, StandardFonts, rgb } = pdfLib;
+const { PDFDocument } = pdfLib;
 
 import fs from 'fs/promises';
 import path from 'path';
+import sharp from 'sharp';
 import { fileURLToPath } from 'url';
 
 // Import reusable functions from ocr.js
-import { getScreenshotFiles, performOcrOnImage } from './ocr.js';
+import { getScreenshotFiles, runOcrJobs, parsePageRanges, validateOcrSettings, getOcrDefaults, EXIT_PAGES_FAILED } from './ocr.js';
+import { embedTextFonts, splitIntoFontRuns, widthOfRuns, drawRuns } from './pdf-fonts.js';
+import { extractHeadings, setPageLabels, addOutline } from './pdf-structure.js';
+import { compressImage } from './image-utils.js';
+import { parseFlag } from './profiles.js';
 
 // --- Configuration ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const screenshotsDir = path.join(__dirname, 'screenshots');
-const pdfOutputFile = path.join(__dirname, 'out.pdf');
-const ollamaModelForPdf = process.env.OLLAMA_VISION_MODEL || 'llama3.2-vision';
+const pdfOutputFile = path.resolve(process.env.PDF_OUTPUT || path.join(__dirname, 'out.pdf'));
+// Text layer: 'block' draws all text in one block, from the same cached transcription as ocr.js; 'lines' places each
+// OCR'd line (or word) over its position in the image, which takes a separate layout transcription of every page
+const textLayout = process.env.PDF_TEXT_LAYOUT || 'block';
+// Extra TTF/OTF fonts for the text layer, tried before the bundled DejaVu Sans (e.g. a CJK font)
+const pdfFonts = (process.env.PDF_FONTS || '').split(/[,;]/).map(file => file.trim()).filter(Boolean);
+// Images: re-encoded as JPEG by default; PNG keeps them lossless
+const imageFormat = (process.env.PDF_IMAGE_FORMAT || 'jpeg').toLowerCase();
+const jpegQuality = parseInt(process.env.PDF_JPEG_QUALITY ?? '75', 10);
+const grayscale = parseFlag(process.env.PDF_GRAYSCALE ?? false);
+// Page size: screenshot pixels per inch (72 = one pixel per PDF point, as before)
+const sourceDpi = parseFloat(process.env.PDF_SOURCE_DPI ?? '72');
+// Images above this resolution are downscaled (0 = keep every pixel)
+const imageDpi = parseFloat(process.env.PDF_IMAGE_DPI ?? '0');
+// The document is first written after N pages, then each time the page count doubles, so an interrupted
+// run still leaves a usable PDF while the full saves add up to less than twice the final one (0 = only at the end)
+const checkpointPages = parseInt(process.env.PDF_CHECKPOINT_PAGES ?? '25', 10);
+const pdfTitle = process.env.PDF_TITLE || process.env.BOOK_TITLE || '';
+const pdfAuthor = process.env.PDF_AUTHOR || process.env.BOOK_AUTHOR || '';
+// Outline (bookmarks): 'headings' from Markdown headings in the OCR text, 'pages' for one entry per page, or 'none'
+const outlineMode = process.env.PDF_OUTLINE || 'headings';
 
-// --- Main PDF Generation Function ---
-async function generateSearchablePdf() {
-    console.log(`Starting searchable PDF generation: ${pdfOutputFile}`);
-    console.log(`Using OCR model: ${ollamaModelForPdf}`);
+// --- Text Layer Helpers ---
 
-    let screenshotFiles;
-    try {
-        screenshotFiles = await getScreenshotFiles();
-    } catch (error) {
-        console.error("Error getting screenshot files:", error.message);
-        return;
+// Draws invisible text so it covers the given box (image pixels, top-left origin): font size follows the box width
+function drawTextInBox(page, fontSet, text, imageBox, pageHeight, scale) {
+    const box = { x: imageBox.x * scale, y: imageBox.y * scale, width: imageBox.width * scale, height: imageBox.height * scale };
+    const runs = splitIntoFontRuns(text, fontSet);
+    const widthAtSizeOne = widthOfRuns(runs, 1);
+    if (widthAtSizeOne <= 0) return;
+    // Scale to the box width, but don't let a wrong box blow the text far beyond its line height
+    const size = Math.max(1, Math.min(box.width / widthAtSizeOne, box.height * 1.5));
+    drawRuns(page, runs, {
+        x: box.x,
+        y: pageHeight - box.y - box.height + box.height * 0.2, // Baseline slightly above the bottom of the box
+        size,
+        renderingMode: 3, // Invisible
+    });
+}
+
+// Draws the invisible text layer, positioned line by line (word by word when available) if geometry exists
+// (line boxes are in screenshot pixels; `scale` converts them to PDF points)
+function drawTextLayer(page, fontSet, { text, lines }, pageHeight, scale) {
+    if (textLayout === 'lines' && lines && lines.length > 0) {
+        for (const line of lines) {
+            if (line.words && line.words.length > 0) {
+                // Trailing spaces keep words apart when text is copied or extracted
+                line.words.forEach((word, i) => drawTextInBox(page, fontSet, i < line.words.length - 1 ? `${word.text} ` : word.text, word, pageHeight, scale));
+            } else {
+                // Heading markers are Markdown, not part of the printed line
+                drawTextInBox(page, fontSet, line.text.replace(/^#{1,6}\s+/, ''), line, pageHeight, scale);
+            }
+        }
+        return 'positioned';
+    }
+
+    // Single block near the bottom-left corner, one text line below the other
+    const size = 8;
+    text.split(/\r?\n/).forEach((line, i) => {
+        drawRuns(page, splitIntoFontRuns(line, fontSet), {
+            x: 10, // Slightly away from left edge
+            y: 10 - i * size * 1.2, // First line slightly away from bottom edge
+            size,
+            renderingMode: 3, // Invisible
+        });
+    });
+    return 'block';
+}
+
+// --- PDF Output Helpers ---
+
+// Serializes the document to a temporary file and renames it, so a crash never leaves a truncated PDF
+async function writePdf(pdfDoc, file) {
+    const pdfBytes = await pdfDoc.save();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, pdfBytes);
+    await fs.rename(`${file}.tmp`, file);
+    return pdfBytes.length;
+}
+
+// Original page number of a screenshot ("12.png" -> 12), used for page labels
+function pageNumberOf(filename, fallback) {
+    const number = parseInt(path.parse(filename).name, 10);
+    return number > 0 ? number : fallback;
+}
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// --- PDF Builder (Exported) ---
+
+/**
+ * Checks the PDF settings taken from the environment.
+ * @throws {Error} If a setting is invalid.
+ */
+export function validatePdfSettings() {
+    if (!['lines', 'block'].includes(textLayout)) {
+        throw new Error(`PDF_TEXT_LAYOUT must be 'lines' or 'block' (got '${textLayout}').`);
+    }
+    if (!['jpeg', 'png'].includes(imageFormat)) {
+        throw new Error(`PDF_IMAGE_FORMAT must be 'jpeg' or 'png' (got '${imageFormat}').`);
+    }
+    if (isNaN(jpegQuality) || jpegQuality < 1 || jpegQuality > 100) {
+        throw new Error('PDF_JPEG_QUALITY must be a number from 1 to 100.');
+    }
+    if (isNaN(sourceDpi) || sourceDpi <= 0) {
+        throw new Error('PDF_SOURCE_DPI must be a positive number.');
+    }
+    if (isNaN(imageDpi) || imageDpi < 0) {
+        throw new Error('PDF_IMAGE_DPI must be a non-negative number (0 keeps the full resolution).');
     }
+    if (isNaN(checkpointPages) || checkpointPages < 0) {
+        throw new Error('PDF_CHECKPOINT_PAGES must be a non-negative number.');
+    }
+    if (!['headings', 'pages', 'none'].includes(outlineMode)) {
+        throw new Error(`PDF_OUTLINE must be 'headings', 'pages' or 'none' (got '${outlineMode}').`);
+    }
+}
 
+/**
+ * Creates the searchable PDF document that pages are added to one by one, in page order.
+ * Used by generateSearchablePdf and by the live mode in watch.js.
+ * @param {object} options
+ * @param {string} options.screenshotsDir - Where the page images are.
+ * @param {string} [options.outputFile] - The PDF file (defaults to PDF_OUTPUT or ./out.pdf).
+ * @param {Console} [options.logger=console] - Where messages go (see runOcrJobs in ocr.js).
+ * @returns {Promise<{layout: boolean, pagesAdded: () => number, addPage: (result: object) => Promise<void>, finish: () => Promise<number>}>}
+ *   `layout` tells whether OCR results should include line positions; `addPage` takes a runOcrJobs result;
+ *   `finish` writes the final file with page labels and outline, and returns the number of pages.
+ * @throws {Error} If a font in PDF_FONTS cannot be embedded.
+ */
+export async function createPdfBuilder({ screenshotsDir, outputFile = pdfOutputFile, logger = console }) {
     const pdfDoc = await PDFDocument.create();
-    // ***** CHANGE 1: Use a different standard font *****
-    const embeddedFont = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-    let pagesAdded = 0;
+    const fontSet = await embedTextFonts(pdfDoc, pdfFonts);
+    logger.log(`Text layer fonts: ${fontSet.fonts.map(font => path.basename(font.path)).join(', ')}`);
+    logger.log(`Images: ${imageFormat}${imageFormat === 'jpeg' ? ` quality ${jpegQuality}` : ''}${grayscale ? ', grayscale' : ''}${imageDpi > 0 ? `, max ${imageDpi} dpi` : ''} (screenshots at ${sourceDpi} dpi)`);
 
-    console.log('Processing screenshots and adding pages to PDF incrementally...');
+    if (pdfTitle) pdfDoc.setTitle(pdfTitle, { showInWindowTitleBar: true });
+    if (pdfAuthor) pdfDoc.setAuthor(pdfAuthor);
+    pdfDoc.setCreator('move-shot');
 
-    for (const filename of screenshotFiles) {
+    let pagesAdded = 0;
+    let nextCheckpoint = checkpointPages;
+    const pageLabels = [];
+    const outlineEntries = [];
+    const pointsPerPixel = 72 / sourceDpi;
+    // Downscale factor that brings the screenshots to the target resolution (never upscales)
+    const imageScale = imageDpi > 0 ? Math.min(1, imageDpi / sourceDpi) : 1;
+
+    const addPage = async ({ page: position, filename, text: ocrText, lines }) => {
         const fullImagePath = path.join(screenshotsDir, filename);
-        console.log(`\nProcessing ${filename}...`);
+        logger.log(`\nAdding ${filename} to PDF...`);
 
         try {
-            const ocrText = await performOcrOnImage(filename, ollamaModelForPdf);
             const imageBytes = await fs.readFile(fullImagePath);
-            const pdfImage = await pdfDoc.embedPng(imageBytes);
-            const imgDims = pdfImage.scale(1.0);
-            const page = pdfDoc.addPage([imgDims.width, imgDims.height]);
+            const image = await compressImage(imageBytes, { format: imageFormat, quality: jpegQuality, scale: imageScale, grayscale });
+            const pdfImage = image.format === 'png' ? await pdfDoc.embedPng(image.buffer) : await pdfDoc.embedJpg(image.buffer);
+
+            // The page keeps the screenshot's physical size, whatever resolution the embedded image has
+            const { width: sourceWidth, height: sourceHeight } = await sharp(imageBytes).metadata();
+            const pageWidth = sourceWidth * pointsPerPixel;
+            const pageHeight = sourceHeight * pointsPerPixel;
+            const page = pdfDoc.addPage([pageWidth, pageHeight]);
             pagesAdded++;
-            console.log(`  - Added page ${pagesAdded} (dimensions: ${imgDims.width}x${imgDims.height})`);
+            pageLabels.push(pageNumberOf(filename, position));
+            logger.log(`  - Added page ${pagesAdded} (${Math.round(pageWidth)}x${Math.round(pageHeight)} pt, image ${image.width}x${image.height} px, ${(image.buffer.length / 1024).toFixed(0)} KB)`);
 
             page.drawImage(pdfImage, {
                 x: 0,
                 y: 0,
-                width: imgDims.width,
-                height: imgDims.height,
+                width: pageWidth,
+                height: pageHeight,
             });
 
             if (ocrText && ocrText.trim().length > 0) {
-                page.drawText(ocrText, {
-                    // ***** CHANGE 3: Adjust position slightly *****
-                    x: 10, // Slightly away from left edge
-                    y: 10, // Slightly away from bottom edge
-                    font: embeddedFont,
-                    // ***** CHANGE 2: Increase font size slightly *****
-                    size: 8,
-                    renderingMode: 3, // Keep using integer value for Invisible
-                });
+                const placement = drawTextLayer(page, fontSet, { text: ocrText, lines }, pageHeight, pointsPerPixel);
+                logger.log(`  - Text layer: ${placement === 'positioned' ? `${lines.length} positioned line(s)` : 'single block (no line positions)'}`);
             } else {
-                console.log(`  - Skipping text layer for ${filename} (OCR failed or returned empty).`);
+                logger.log(`  - Skipping text layer for ${filename} (OCR failed or returned empty).`);
             }
 
-            // Incremental Save
-            const pdfBytes = await pdfDoc.save();
-            await fs.writeFile(pdfOutputFile, pdfBytes);
-            console.log(`  - Saved intermediate PDF (${pdfOutputFile}) with ${pagesAdded} page(s).`);
+            if (outlineMode === 'pages') {
+                outlineEntries.push({ title: `Page ${pageLabels[pageLabels.length - 1]}`, level: 1, pageIndex: pagesAdded - 1 });
+            } else if (outlineMode === 'headings') {
+                for (const heading of extractHeadings(ocrText)) {
+                    outlineEntries.push({ ...heading, pageIndex: pagesAdded - 1 });
+                }
+            }
+
+            // Checkpoint: pdf-lib can only save the whole document, so the interval doubles each time
+            if (checkpointPages > 0 && pagesAdded >= nextCheckpoint) {
+                nextCheckpoint = pagesAdded * 2;
+                const size = await writePdf(pdfDoc, outputFile);
+                logger.log(`  - Checkpoint: saved ${outputFile} with ${pagesAdded} page(s) (${formatBytes(size)}).`);
+            }
 
         } catch (error) {
-            console.error(`\nError processing ${filename} for PDF:`, error.message);
-            console.error("  - This page might be missing or incomplete in the PDF.");
+            logger.error(`\nError processing ${filename} for PDF:`, error.message);
+            logger.error("  - This page might be missing or incomplete in the PDF.");
         }
-    } // End loop
-
-    console.log('\n--------------------------------------------------');
-    if (pagesAdded > 0) {
-        console.log(`Processing finished. Final PDF saved incrementally to ${pdfOutputFile} with ${pagesAdded} page(s).`);
-        console.log("NOTE: Text selection might not perfectly align with visual text due to OCR limitations.");
-    } else {
-        console.log("Processing finished, but no pages were successfully added to the PDF.");
+    };
+
+    const finish = async () => {
+        logger.log('\n--------------------------------------------------');
+        if (pagesAdded > 0) {
+            // Text without Markdown headings (e.g. from the layout prompt) still gets an outline to navigate by
+            if (outlineMode === 'headings' && outlineEntries.length === 0) {
+                logger.log('No headings found in the OCR text; the outline lists the pages instead.');
+                pageLabels.forEach((label, pageIndex) => outlineEntries.push({ title: `Page ${label}`, level: 1, pageIndex }));
+            }
+            // Labels and outline are only added to the final file (checkpoints would leave stale copies behind)
+            let size;
+            try {
+                setPageLabels(pdfDoc, pageLabels);
+                addOutline(pdfDoc, outlineEntries);
+                size = await writePdf(pdfDoc, outputFile);
+            } catch (error) {
+                logger.error(`Error writing the final PDF ${outputFile}:`, error.message);
+                logger.log('--------------------------------------------------');
+                process.exitCode = 1;
+                return pagesAdded;
+            }
+            logger.log(`Processing finished. Final PDF saved to ${outputFile} with ${pagesAdded} page(s) (${formatBytes(size)}).`);
+            if (outlineEntries.length > 0) logger.log(`Outline: ${outlineEntries.length} entr${outlineEntries.length === 1 ? 'y' : 'ies'}.`);
+            logger.log(textLayout === 'lines'
+                ? "NOTE: Text is placed at the line positions reported by OCR; pages without positions use a single text block."
+                : "NOTE: Text selection might not perfectly align with visual text due to OCR limitations.");
+            if (fontSet.missingGlyphs.size > 0) {
+                logger.warn(`WARNING: No font had glyphs for: ${[...fontSet.missingGlyphs].slice(0, 40).join(' ')}. Add a font covering them with PDF_FONTS.`);
+            }
+        } else {
+            logger.log("Processing finished, but no pages were successfully added to the PDF.");
+        }
+        logger.log('--------------------------------------------------');
+        return pagesAdded;
+    };
+
+    return { layout: textLayout === 'lines', pagesAdded: () => pagesAdded, addPage, finish };
+}
+
+// --- Main PDF Generation Function (Exported) ---
+
+/**
+ * OCRs the screenshots and writes the searchable PDF. Sets process.exitCode to 1 on errors and to
+ * EXIT_PAGES_FAILED when some pages have no text layer because their OCR failed.
+ * @returns {Promise<void>}
+ */
+export async function generateSearchablePdf() {
+    console.log(`Starting searchable PDF generation: ${pdfOutputFile}`);
+
+    let isForcedPage;
+    let model;
+    let screenshotsDir;
+    try {
+        validatePdfSettings();
+        validateOcrSettings();
+        isForcedPage = parsePageRanges(process.env.OCR_FORCE_PAGES);
+        ({ model, screenshotsDir } = getOcrDefaults());
+    } catch (error) {
+        console.error('Configuration error:', error.message);
+        process.exitCode = 1;
+        return;
     }
-    console.log('--------------------------------------------------');
+    console.log(`Using OCR model: ${model}`);
+
+    let screenshotFiles;
+    try {
+        screenshotFiles = await getScreenshotFiles();
+    } catch (error) {
+        console.error("Error getting screenshot files:", error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    let builder;
+    try {
+        builder = await createPdfBuilder({ screenshotsDir });
+    } catch (error) {
+        console.error('Configuration error:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('Processing screenshots and adding pages to PDF incrementally...');
+
+    // OCR runs concurrently; pages are added strictly in page order as their results become available
+    const { report } = await runOcrJobs(screenshotFiles, {
+        model,
+        layout: builder.layout,
+        isForcedPage,
+        onPageReady: builder.addPage,
+    });
+
+    if (await builder.finish() === 0) process.exitCode = 1;
+    if (report.failed.length > 0 && !process.exitCode) process.exitCode = EXIT_PAGES_FAILED;
 }
 
-// --- Run the Script ---
-generateSearchablePdf();
+// --- Standalone Execution Check ---
+const isMainScript = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename);
+
+if (isMainScript) {
+    generateSearchablePdf();
+}
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default location of the saved capture profiles (override with PROFILES_FILE)
+const defaultProfilesFile = path.join(__dirname, 'profiles.json');
+
+// Ways a profile can advance to the next page
+const ADVANCE_TYPES = ['click', 'selector', 'key', 'scroll'];
+
+/**
+ * Reads all saved profiles.
+ * @param {string} [profilesFile] - Path to the profiles JSON file.
+ * @returns {Record<string, object>} Profiles keyed by name (empty if the file doesn't exist).
+ * @throws {Error} If the file exists but is not valid JSON.
+ */
+function loadProfiles(profilesFile = defaultProfilesFile) {
+    if (!fs.existsSync(profilesFile)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(profilesFile, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not parse profiles file ${profilesFile}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads and validates one named profile.
+ * @param {string} name - The profile name.
+ * @param {string} [profilesFile] - Path to the profiles JSON file.
+ * @returns {object} The profile settings.
+ * @throws {Error} If the profile is missing or its advance method is invalid.
+ */
+function loadProfile(name, profilesFile = defaultProfilesFile) {
+    const profiles = loadProfiles(profilesFile);
+    const profile = profiles[name];
+    if (!profile) {
+        const available = Object.keys(profiles);
+        throw new Error(`Profile "${name}" not found in ${profilesFile}` +
+            (available.length > 0 ? ` (available: ${available.join(', ')})` : ''));
+    }
+    if (profile.advance) validateAdvance(profile.advance);
+    return profile;
+}
+
+/**
+ * Adds or replaces a named profile in the profiles file.
+ * @param {string} name - The profile name.
+ * @param {object} profile - The profile settings.
+ * @param {string} [profilesFile] - Path to the profiles JSON file.
+ */
+function saveProfile(name, profile, profilesFile = defaultProfilesFile) {
+    const profiles = loadProfiles(profilesFile);
+    profiles[name] = profile;
+    fs.writeFileSync(profilesFile, JSON.stringify(profiles, null, 2) + '\n');
+}
+
+/**
+ * Checks that an advance definition is complete.
+ * @param {object} advance - e.g. { type: 'key', key: 'ArrowRight' }.
+ * @throws {Error} If the type is unknown or a required field is missing.
+ */
+function validateAdvance(advance) {
+    if (!ADVANCE_TYPES.includes(advance.type)) {
+        throw new Error(`Unknown advance type "${advance.type}" (expected ${ADVANCE_TYPES.join(', ')})`);
+    }
+    if (advance.type === 'click' && (typeof advance.x !== 'number' || typeof advance.y !== 'number')) {
+        throw new Error('Advance type "click" requires numeric x and y.');
+    }
+    if (advance.type === 'selector' && !advance.selector) {
+        throw new Error('Advance type "selector" requires a selector.');
+    }
+    if (advance.type === 'key' && !advance.key) {
+        throw new Error('Advance type "key" requires a key (e.g. "ArrowRight").');
+    }
+    if (advance.type === 'scroll' && advance.overlap !== undefined && !(advance.overlap >= 0)) {
+        throw new Error('Advance type "scroll" requires a non-negative overlap.');
+    }
+}
+
+/**
+ * Picks a setting: an explicitly set environment variable wins, then the profile, then the default.
+ * @param {string|undefined} envValue - The raw environment variable.
+ * @param {*} profileValue - The value from the profile, if any.
+ * @param {*} defaultValue - The fallback.
+ * @returns {*} The resolved value.
+ */
+function resolveSetting(envValue, profileValue, defaultValue) {
+    if (envValue !== undefined && envValue !== '') return envValue;
+    if (profileValue !== undefined && profileValue !== null) return profileValue;
+    return defaultValue;
+}
+
+/**
+ * Interprets an on/off setting such as "1", "true", "yes" or a JSON boolean.
+ * @param {*} value - The raw setting.
+ * @returns {boolean} True if the setting is switched on.
+ */
+function parseFlag(value) {
+    return ['1', 'true', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+module.exports = {
+    defaultProfilesFile,
+    ADVANCE_TYPES,
+    loadProfiles,
+    loadProfile,
+    saveProfile,
+    validateAdvance,
+    resolveSetting,
+    parseFlag,
+};
@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { loadManifest, orderPageFiles, readCaptureLock } from './manifest.js';
+import { loadCorrections } from './corrections.js';
+
+// --- Configuration ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+// Where projects are kept (override with PROJECTS_DIR)
+export const defaultProjectsDir = path.resolve(process.env.PROJECTS_DIR || path.join(__dirname, 'projects'));
+const PROJECT_FILENAME = 'project.json';
+// A project's own settings, in the format of cli.js config files
+export const PROJECT_CONFIG_FILENAME = 'move-shot.config.json';
+// Archived projects are moved here (not a valid project name, so it can't clash)
+const ARCHIVE_DIRNAME = '.archived';
+// Browser session of a project: the shared one (SESSION_DIR or ./sessions) or its own
+export const SESSION_MODES = ['shared', 'separate'];
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Files and folders of a project, by the environment variable the scripts read them from
+const PROJECT_LAYOUT = {
+    SCREENSHOTS_DIR: 'screenshots',
+    OCR_OUTPUT: 'ocr.md',
+    OCR_REPORT: 'ocr-report.json',
+    PDF_OUTPUT: 'out.pdf',
+    EPUB_OUTPUT: 'out.epub',
+    HTML_OUTPUT: 'out.html',
+};
+const OUTPUT_VARIABLES = ['OCR_OUTPUT', 'PDF_OUTPUT', 'EPUB_OUTPUT', 'HTML_OUTPUT'];
+
+// --- Reading Projects ---
+
+/**
+ * Checks a project name: letters, digits, ".", "_" and "-", starting with a letter or digit.
+ * @param {string} name - The project name.
+ * @throws {Error} If the name is invalid.
+ */
+export function validateProjectName(name) {
+    if (!NAME_PATTERN.test(name || '')) {
+        throw new Error(`Invalid project name "${name}" (use up to 64 letters, digits, ".", "_" and "-", starting with a letter or digit).`);
+    }
+}
+
+function readProject(dir, archived) {
+    let meta;
+    try {
+        meta = JSON.parse(fs.readFileSync(path.join(dir, PROJECT_FILENAME), 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null; // Not a project folder
+        throw new Error(`Could not read ${path.join(dir, PROJECT_FILENAME)}: ${error.message}`);
+    }
+    return { ...meta, name: path.basename(dir), dir, archived };
+}
+
+function writeProject(project) {
+    const { dir, archived, ...meta } = project;
+    fs.writeFileSync(path.join(dir, PROJECT_FILENAME), JSON.stringify(meta, null, 2) + '\n');
+}
+
+/**
+ * Lists the projects, active ones first, each group by name.
+ * @param {string} [root] - The projects directory.
+ * @returns {object[]} Projects: name, dir, archived, session, createdAt and (archived) archivedAt.
+ */
+export function listProjects(root = defaultProjectsDir) {
+    const projectsIn = (dir, archived) => {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && NAME_PATTERN.test(entry.name))
+            .map(entry => readProject(path.join(dir, entry.name), archived))
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    };
+    return [...projectsIn(root, false), ...projectsIn(path.join(root, ARCHIVE_DIRNAME), true)];
+}
+
+/**
+ * Finds a project by name.
+ * @param {string} name - The project name.
+ * @param {string} [root] - The projects directory.
+ * @returns {object} The project (see listProjects).
+ * @throws {Error} If there is no such project.
+ */
+export function findProject(name, root = defaultProjectsDir) {
+    validateProjectName(name);
+    const project = readProject(path.join(root, name), false) || readProject(path.join(root, ARCHIVE_DIRNAME, name), true);
+    if (!project) {
+        const available = listProjects(root).filter(entry => !entry.archived).map(entry => entry.name);
+        throw new Error(`Project "${name}" not found in ${root}` + (available.length > 0 ? ` (available: ${available.join(', ')})` : ''));
+    }
+    return project;
+}
+
+/**
+ * The settings that point the scripts at a project's folders (and its browser session, if separate).
+ * @param {object} project - From findProject.
+ * @returns {Record<string, string>} Environment variables.
+ */
+export function projectEnv(project) {
+    const env = Object.fromEntries(Object.entries(PROJECT_LAYOUT).map(([name, file]) => [name, path.join(project.dir, file)]));
+    if (project.session === 'separate') env.SESSION_DIR = path.join(project.dir, 'sessions');
+    return env;
+}
+
+// --- Managing Projects ---
+
+/**
+ * Creates a project folder with its project.json and (if settings are given) its config file.
+ * @param {string} name - The project name.
+ * @param {object} [options]
+ * @param {string} [options.session='separate'] - One of SESSION_MODES.
+ * @param {object} [options.settings] - Contents of the project's config file.
+ * @param {string} [root] - The projects directory.
+ * @returns {object} The new project.
+ * @throws {Error} If the name is invalid or taken, or the session mode unknown.
+ */
+export function createProject(name, { session = 'separate', settings = null } = {}, root = defaultProjectsDir) {
+    validateProjectName(name);
+    if (!SESSION_MODES.includes(session)) throw new Error(`Unknown session mode "${session}" (expected ${SESSION_MODES.join(' or ')}).`);
+    if (fs.existsSync(path.join(root, name)) || fs.existsSync(path.join(root, ARCHIVE_DIRNAME, name))) {
+        throw new Error(`Project "${name}" already exists.`);
+    }
+    const project = { name, dir: path.join(root, name), archived: false, session, createdAt: new Date().toISOString() };
+    fs.mkdirSync(path.join(project.dir, PROJECT_LAYOUT.SCREENSHOTS_DIR), { recursive: true });
+    writeProject(project);
+    if (settings) fs.writeFileSync(path.join(project.dir, PROJECT_CONFIG_FILENAME), JSON.stringify(settings, null, 2) + '\n');
+    return project;
+}
+
+// Archiving or deleting a folder that a capture is writing to would lose pages
+function assertNoCapture(project) {
+    const lock = readCaptureLock(path.join(project.dir, PROJECT_LAYOUT.SCREENSHOTS_DIR));
+    if (lock && lock.running) throw new Error(`A capture (pid ${lock.pid}) is running in project "${project.name}".`);
+}
+
+/**
+ * Moves a project out of the active list (into PROJECTS_DIR/.archived), keeping all its files.
+ * @param {string} name - The project name.
+ * @param {string} [root] - The projects directory.
+ * @returns {object} The archived project.
+ * @throws {Error} If the project doesn't exist, is already archived, or is being captured.
+ */
+export function archiveProject(name, root = defaultProjectsDir) {
+    const project = findProject(name, root);
+    if (project.archived) throw new Error(`Project "${name}" is already archived.`);
+    assertNoCapture(project);
+    const archived = { ...project, dir: path.join(root, ARCHIVE_DIRNAME, name), archived: true, archivedAt: new Date().toISOString() };
+    fs.mkdirSync(path.dirname(archived.dir), { recursive: true });
+    fs.renameSync(project.dir, archived.dir);
+    writeProject(archived);
+    return archived;
+}
+
+/**
+ * Makes an archived project active again.
+ * @param {string} name - The project name.
+ * @param {string} [root] - The projects directory.
+ * @returns {object} The restored project.
+ * @throws {Error} If the project doesn't exist or is not archived.
+ */
+export function restoreProject(name, root = defaultProjectsDir) {
+    const project = findProject(name, root);
+    if (!project.archived) throw new Error(`Project "${name}" is not archived.`);
+    const { archivedAt, ...restored } = { ...project, dir: path.join(root, name), archived: false };
+    fs.renameSync(project.dir, restored.dir);
+    writeProject(restored);
+    return restored;
+}
+
+/**
+ * Deletes a project (active or archived) with all its screenshots, outputs and session.
+ * @param {string} name - The project name.
+ * @param {string} [root] - The projects directory.
+ * @returns {object} The deleted project.
+ * @throws {Error} If the project doesn't exist or is being captured.
+ */
+export function deleteProject(name, root = defaultProjectsDir) {
+    const project = findProject(name, root);
+    assertNoCapture(project);
+    fs.rmSync(project.dir, { recursive: true, force: true });
+    return project;
+}
+
+// --- Progress ---
+
+const modifiedAt = (file) => fs.statSync(file, { throwIfNoEntry: false })?.mtimeMs ?? null;
+
+/**
+ * Summarizes how far a project has come: pages captured, the last ocr.js run (from its report, which
+ * only ocr.js writes), reviewed pages, and which outputs exist (and whether they are older than the newest screenshot).
+ * @param {object} project - From findProject.
+ * @returns {{captured: number, captureRunning: boolean, lastCaptureAt: string|null,
+ *     ocr: {succeeded: number, failed: number, total: number, pages: string, finishedAt: string}|null, corrected: number,
+ *     outputs: {file: string, exists: boolean, modifiedAt: string|null, outdated: boolean}[]}} The status.
+ * @throws {Error} If the manifest, OCR report or corrections cannot be parsed.
+ */
+export function getProjectStatus(project) {
+    const env = projectEnv(project);
+    const screenshotsDir = env.SCREENSHOTS_DIR;
+    const pngFiles = fs.existsSync(screenshotsDir) ? fs.readdirSync(screenshotsDir).filter(file => file.toLowerCase().endsWith('.png')) : [];
+    const { ordered } = orderPageFiles(pngFiles, loadManifest(screenshotsDir));
+    const lastCaptureMs = Math.max(0, ...ordered.map(file => modifiedAt(path.join(screenshotsDir, file))));
+    const lock = readCaptureLock(screenshotsDir);
+
+    let ocr = null;
+    if (fs.existsSync(env.OCR_REPORT)) {
+        try {
+            const report = JSON.parse(fs.readFileSync(env.OCR_REPORT, 'utf-8'));
+            ocr = { succeeded: report.succeeded, failed: report.failed.length, total: report.total, pages: report.pages ?? 'all', finishedAt: report.finishedAt };
+        } catch (error) {
+            throw new Error(`Could not parse OCR report ${env.OCR_REPORT}: ${error.message}`);
+        }
+    }
+
+    return {
+        captured: ordered.length,
+        captureRunning: Boolean(lock && lock.running),
+        lastCaptureAt: lastCaptureMs ? new Date(lastCaptureMs).toISOString() : null,
+        ocr,
+        corrected: Object.keys(loadCorrections(screenshotsDir).pages).length,
+        outputs: OUTPUT_VARIABLES.map((name) => {
+            const outputMs = modifiedAt(env[name]);
+            return {
+                file: path.relative(project.dir, env[name]),
+                exists: outputMs !== null,
+                modifiedAt: outputMs !== null ? new Date(outputMs).toISOString() : null,
+                outdated: outputMs !== null && outputMs < lastCaptureMs,
+            };
+        }),
+    };
+}
@@ -0,0 +1,329 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --- Configuration ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+// User-defined prompt profiles (same format as BUILTIN_PROMPT_PROFILES; may override them by name)
+const defaultPromptsFile = process.env.PROMPTS_FILE || path.join(__dirname, 'prompts.json');
+const DEFAULT_PROMPT_PROFILE = 'kindle';
+export const TABLE_SYNTAXES = ['markdown', 'html'];
+export const MATH_SYNTAXES = ['latex', 'unicode'];
+
+const KINDLE_IGNORED_ELEMENTS = `IGNORE all of the following elements:
+- Headers with book title, chapter name, or author names
+- Footers with page numbers or location indicators
+- Kindle progress indicators (percentage, time left)
+- Navigation bars or buttons
+- Kindle menu items or icons
+- Any location markers like "Location 123-456"
+- Chapter or section numbering not part of the actual text
+- Any UI elements overlaid on the text`;
+
+const noCommentary = 'Provide only the clean transcribed text content, exactly as it appears on the page. Do not add any descriptions or commentary about the image itself.';
+
+// Templates use {{name}} variables. {{formatRules}} is filled from the standard variables
+// (language, tables, math) and disappears when none of them is set; {{ignore}} inserts the
+// profile's `ignore` list, which the layout prompt (see renderLayoutPrompt) uses as well.
+export const BUILTIN_PROMPT_PROFILES = {
+    kindle: {
+        description: 'Kindle and other e-book readers (default)',
+        prompt: `Extract and transcribe *only* the main textual content of the book page shown in this image. Preserve formatting like paragraphs where possible.
+
+{{ignore}}
+
+{{formatRules}}
+
+${noCommentary}`,
+        ignore: KINDLE_IGNORED_ELEMENTS,
+    },
+    article: {
+        description: 'Web articles, blog posts and news pages',
+        prompt: `Transcribe the main article text shown in this image as Markdown: the headline and subheadings as Markdown headings, paragraphs, lists, block quotes and image captions.
+
+{{ignore}}
+
+{{formatRules}}
+
+${noCommentary}`,
+        ignore: 'IGNORE navigation menus, advertisements, cookie banners, share buttons, comment sections, newsletter boxes and links to related articles.',
+    },
+    textbook: {
+        description: 'Textbooks and papers with tables and equations',
+        prompt: `Transcribe this textbook page completely and in reading order as Markdown: headings (keeping their section numbers), paragraphs, lists, tables, equations, figure and table captions, footnotes and exercises. For figures, write only their caption.
+
+{{ignore}}
+
+{{formatRules}}
+
+${noCommentary}`,
+        ignore: 'IGNORE running headers and footers with the book title, chapter name or page number.',
+        variables: { tables: 'markdown', math: 'latex' },
+    },
+    comic: {
+        description: 'Comics and graphic novels',
+        prompt: `This image is a comic page. Transcribe all of its text panel by panel, in reading order ({{readingOrder}}): speech and thought bubbles, caption boxes and sound effects.
+
+Start each panel with a line "**Panel N**". Write each speech bubble on its own line as "Speaker: text" when the speaker can be identified, caption boxes as "*Caption:* text" and sound effects as "*SFX:* text". Skip panels without text.
+
+{{formatRules}}
+
+Do not describe the artwork and do not add any commentary.`,
+        variables: { readingOrder: 'left to right, top to bottom' },
+    },
+    manga: {
+        description: 'Manga (right-to-left reading order)',
+        extends: 'comic',
+        variables: { readingOrder: 'right to left, top to bottom' },
+    },
+};
+
+// --- Profile Resolution (Exported) ---
+
+/**
+ * Reads the user prompt profiles.
+ * @param {string} [promptsFile] - Path to the prompt profiles JSON file.
+ * @returns {Record<string, object>} Profiles keyed by name (empty if the file doesn't exist).
+ * @throws {Error} If the file exists but is not valid JSON.
+ */
+export function loadPromptProfiles(promptsFile = defaultPromptsFile) {
+    if (!fs.existsSync(promptsFile)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(promptsFile, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not parse prompt profiles file ${promptsFile}: ${error.message}`);
+    }
+}
+
+// The sentences {{formatRules}} expands to
+function formatRules({ language, tables, math }) {
+    const rules = [];
+    if (language) rules.push(`The text is in ${language}. Transcribe it in ${language} as it is written; do not translate it.`);
+    if (tables === 'markdown') rules.push('Reproduce tables as Markdown tables: a header row, then a separator row like "| --- | --- |", then one line per row, with every row starting and ending with "|" and having the same number of cells.');
+    if (tables === 'html') rules.push('Reproduce tables as HTML <table> elements with <tr>, <th> and <td>.');
+    if (math === 'latex') rules.push('Write all mathematical expressions in LaTeX: inline math between single dollar signs ($...$) and displayed equations between double dollar signs ($$...$$) on lines of their own.');
+    if (math === 'unicode') rules.push('Write mathematical expressions as plain text using Unicode symbols (e.g. x², √, ≤, π), not LaTeX.');
+    return rules.join('\n');
+}
+
+// Drops the gaps left by empty placeholders
+const tidyPrompt = (prompt) => prompt.replace(/\n{3,}/g, '\n\n').trim();
+
+/**
+ * Resolves a prompt profile (following `extends`) and renders its prompt.
+ * @param {string} [name='kindle'] - The profile name (user profiles first, then built-in ones).
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.variables] - Variables overriding the profile's defaults (e.g. language, tables, math).
+ * @param {string} [options.promptsFile] - Path to the user prompt profiles file.
+ * @returns {{name: string, prompt: string, variables: Record<string, string>, ignore: string, formatRules: string}}
+ *     The rendered prompt, the variables used, and the profile's ignore list and format rules (for renderLayoutPrompt).
+ * @throws {Error} If the profile doesn't exist, extends itself, or uses an undefined or invalid variable.
+ */
+export function resolvePromptProfile(name = DEFAULT_PROMPT_PROFILE, { variables = {}, promptsFile = defaultPromptsFile } = {}) {
+    const profiles = { ...BUILTIN_PROMPT_PROFILES, ...loadPromptProfiles(promptsFile) };
+
+    // Walk the extends chain: the template and ignore list come from the nearest profile that has one, variables are merged
+    let template = null;
+    let ignore = null;
+    let mergedVariables = {};
+    const seen = new Set();
+    for (let current = name; current;) {
+        const profile = profiles[current];
+        if (!profile) {
+            throw new Error(`Prompt profile "${current}" not found (available: ${Object.keys(profiles).join(', ')})`);
+        }
+        if (seen.has(current)) throw new Error(`Prompt profile "${name}" extends itself via "${current}"`);
+        seen.add(current);
+        template = template ?? profile.prompt ?? null;
+        ignore = ignore ?? profile.ignore ?? null;
+        mergedVariables = { ...profile.variables, ...mergedVariables };
+        current = profile.extends;
+    }
+    if (!template) throw new Error(`Prompt profile "${name}" has no prompt`);
+
+    const values = { ...mergedVariables, ...Object.fromEntries(Object.entries(variables).filter(([, value]) => value)) };
+    if (values.tables && !TABLE_SYNTAXES.includes(values.tables)) {
+        throw new Error(`Prompt variable "tables" must be ${TABLE_SYNTAXES.join(' or ')} (got '${values.tables}').`);
+    }
+    if (values.math && !MATH_SYNTAXES.includes(values.math)) {
+        throw new Error(`Prompt variable "math" must be ${MATH_SYNTAXES.join(' or ')} (got '${values.math}').`);
+    }
+
+    const rules = formatRules(values);
+    const prompt = tidyPrompt(template
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, variable) => {
+            if (variable === 'formatRules') return rules;
+            if (variable === 'ignore') return ignore || '';
+            if (values[variable] === undefined) {
+                throw new Error(`Prompt profile "${name}" uses undefined variable {{${variable}}}`);
+            }
+            return values[variable];
+        }));
+    return { name, prompt, variables: values, ignore: ignore || '', formatRules: rules };
+}
+
+/**
+ * Renders the prompt that asks for the text line by line together with the position of each line
+ * (used for the PDF text layer), with the ignore list and format rules of a resolved profile.
+ * Coordinates are on a 0-1000 grid over the image.
+ * @param {{ignore: string, formatRules: string}} profile - From resolvePromptProfile.
+ * @returns {string} The prompt.
+ */
+export function renderLayoutPrompt({ ignore, formatRules: rules }) {
+    return tidyPrompt(`Transcribe *only* the main textual content of the page shown in this image, line by line, and locate each line. Write each line as it would appear in a Markdown transcription, with headings starting with "#".
+
+${ignore}
+
+${rules}
+
+Respond with JSON only: an array with one object per text line, in reading order, like
+[{"text": "First line of text", "box": [x0, y0, x1, y1]}]
+where "box" is the bounding box of that line in coordinates from 0 to 1000 relative to the image width and height, with (0, 0) at the top-left corner.`);
+}
+
+/**
+ * Parses extra prompt variables given as "name=value; name=value".
+ * @param {string} value - The setting (empty for none).
+ * @returns {Record<string, string>} The variables.
+ * @throws {Error} If an entry is not of the form name=value.
+ */
+export function parsePromptVariables(value) {
+    const variables = {};
+    for (const entry of (value || '').split(';').map(part => part.trim()).filter(Boolean)) {
+        const match = entry.match(/^(\w+)\s*=\s*(.*)$/);
+        if (!match) throw new Error(`Invalid prompt variable "${entry}" (expected name=value)`);
+        variables[match[1]] = match[2].trim();
+    }
+    return variables;
+}
+
+// --- Output Repair (Exported) ---
+
+// Table rows: lines with an unescaped "|" (a run of at least two of them makes a table)
+const isTableLine = (line) => /(?<!\\)\|/.test(line);
+const isSeparatorRow = (cells) => cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell));
+
+function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+// Rewrites one Markdown table block: pipes at both ends, separator row after the header, same cell count in every row
+function repairTable(lines) {
+    const repairs = [];
+    const rows = lines.map(splitRow);
+    if (lines.some(line => !/^\s*\|.*\|\s*$/.test(line))) repairs.push('added missing table pipes');
+
+    const separatorAt = rows.findIndex(isSeparatorRow);
+    if (separatorAt !== 1) {
+        if (separatorAt > 1) rows.splice(separatorAt, 1); // Misplaced separator
+        rows.splice(1, 0, []);
+        repairs.push('added table header separator');
+    }
+    const columns = Math.max(...rows.map(row => row.length));
+    if (rows.some((row, i) => i !== 1 && row.length !== columns)) repairs.push('padded table rows to the same number of cells');
+
+    const repaired = rows.map((row, i) => {
+        const cells = i === 1
+            ? Array.from({ length: columns }, (_, c) => row[c] || '---')
+            : [...row, ...Array(columns - row.length).fill('')];
+        return `| ${cells.join(' | ')} |`;
+    });
+    // Well-formed tables are left exactly as they were
+    return repairs.length > 0 ? { lines: repaired, repairs } : { lines, repairs };
+}
+
+/**
+ * Lightly repairs a transcription so it matches the requested output format:
+ * closes unbalanced code fences, fixes Markdown tables (missing separator row, missing pipes,
+ * uneven cell counts), and with LaTeX math converts \( \) and \[ \] delimiters to $ and $$ and
+ * closes an unbalanced $$ block. HTML tables get a missing closing tag.
+ * @param {string} text - The transcription.
+ * @param {{tables?: string, math?: string}} [variables] - The prompt variables the text was requested with.
+ * @returns {{text: string, repairs: string[]}} The repaired text and what was changed.
+ */
+export function repairTranscription(text, { tables, math } = {}) {
+    const repairs = [];
+    let lines = text.split('\n');
+
+    // Markdown tables (outside code fences): runs of at least two table lines
+    if (tables !== 'html') {
+        const output = [];
+        let inFence = false;
+        for (let i = 0; i < lines.length; i++) {
+            if (/^\s*(```|~~~)/.test(lines[i])) inFence = !inFence;
+            let end = i;
+            while (!inFence && end < lines.length && isTableLine(lines[end]) && !/^\s*(```|~~~)/.test(lines[end])) end++;
+            // Unless tables were asked for, prose that happens to contain pipes is left alone:
+            // a table then needs a leading pipe or a separator row
+            const block = lines.slice(i, end);
+            const looksLikeTable = tables === 'markdown' || block.some(line => /^\s*\|/.test(line) || isSeparatorRow(splitRow(line)));
+            if (block.length < 2 || !looksLikeTable) {
+                output.push(lines[i]);
+                continue;
+            }
+            const table = repairTable(block);
+            output.push(...table.lines);
+            repairs.push(...table.repairs);
+            i = end - 1;
+        }
+        lines = output;
+    }
+    let result = lines.join('\n');
+
+    if (math === 'latex') {
+        const converted = result
+            .replace(/\\\[([\s\S]+?)\\\]/g, (match, body) => `$$${body}$$`)
+            .replace(/\\\(([\s\S]+?)\\\)/g, (match, body) => `$${body}$`);
+        if (converted !== result) repairs.push('converted \\( \\) and \\[ \\] math delimiters to $ and $$');
+        result = converted;
+        if (((result.match(/\$\$/g) || []).length) % 2 === 1) {
+            result += '\n$$';
+            repairs.push('closed unbalanced $$ math block');
+        }
+    }
+
+    if (tables === 'html') {
+        const opened = (result.match(/<table\b/gi) || []).length;
+        const closed = (result.match(/<\/table>/gi) || []).length;
+        if (opened > closed) {
+            result += '\n</table>'.repeat(opened - closed);
+            repairs.push('closed unbalanced <table>');
+        }
+    }
+
+    const fences = result.split('\n').filter(line => /^\s*(```|~~~)/.test(line));
+    if (fences.length % 2 === 1) {
+        result += `\n${fences[fences.length - 1].trim().slice(0, 3)}`;
+        repairs.push('closed unbalanced code fence');
+    }
+
+    return { text: result, repairs: [...new Set(repairs)] };
+}
+
+// --- Standalone Execution (node prompt-profiles.js list | show <name>) ---
+const isMainScript = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename);
+
+if (isMainScript) {
+    const [command, name] = process.argv.slice(2);
+    try {
+        if (command === 'list') {
+            const userProfiles = loadPromptProfiles();
+            for (const [profileName, profile] of Object.entries({ ...BUILTIN_PROMPT_PROFILES, ...userProfiles })) {
+                console.log(`${profileName.padEnd(12)} ${profile.description || ''}${userProfiles[profileName] ? ' (prompts.json)' : ''}`);
+            }
+        } else if (command === 'show' && name) {
+            const profile = resolvePromptProfile(name, { variables: parsePromptVariables(process.env.OCR_PROMPT_VARS) });
+            console.log(`Variables: ${JSON.stringify(profile.variables)}\n\n${profile.prompt}\n\nLayout prompt (PDF text layer):\n\n${renderLayoutPrompt(profile)}`);
+        } else {
+            console.error('Usage: node prompt-profiles.js list | show <name>');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
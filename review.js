@@ -0,0 +1,364 @@
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCorrections, findCorrection, saveCorrection, removeCorrection, CORRECTIONS_FILENAME } from './corrections.js';
+import { hashImage } from './image-utils.js';
+
+// Import reusable functions from ocr.js
+import {
+    getScreenshotFiles, getOcrDefaults, readCachedTranscription, readCachedLayoutTranscription, transcribeImage, validateOcrSettings,
+} from './ocr.js';
+
+// --- Configuration ---
+const __filename = fileURLToPath(import.meta.url);
+const reviewHost = process.env.REVIEW_HOST || '127.0.0.1';
+const reviewPort = parseInt(process.env.REVIEW_PORT ?? '3030', 10);
+// Pages with less text than this are flagged as suspiciously short
+const reviewMinChars = parseInt(process.env.REVIEW_MIN_CHARS ?? '100', 10);
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Typical openings of a model describing the image or refusing, instead of transcribing it
+const COMMENTARY_PATTERN = /^\s*(the (image|page|picture|screenshot) (shows|contains|displays|depicts)|this (image|page|picture|screenshot) (shows|contains|displays|depicts|is)|here (is|are) the|here's the|sure[,!]|certainly[,!]|i (can't|cannot|am unable|'m unable)|as an ai|unfortunately,)/im;
+
+// --- Page Checks (Exported) ---
+
+/**
+ * Flags pages whose transcription looks wrong.
+ * - missing / empty: no OCR result, or an empty one
+ * - short: less than minChars characters
+ * - commentary: the model described the image or refused instead of transcribing
+ * - length-jump: much shorter or longer than the neighbouring pages (median of up to 2 on each side)
+ * @param {(string|null)[]} texts - Page texts in page order (null when there is no result yet).
+ * @param {object} [options]
+ * @param {number} [options.minChars=100] - Threshold for 'short'.
+ * @returns {string[][]} The flags of each page.
+ */
+export function flagSuspiciousPages(texts, { minChars = 100 } = {}) {
+    const lengths = texts.map(text => (text || '').trim().length);
+    return texts.map((text, i) => {
+        if (text === null) return ['missing'];
+        if (lengths[i] === 0) return ['empty'];
+        const flags = [];
+        if (lengths[i] < minChars) flags.push('short');
+        if (COMMENTARY_PATTERN.test(text)) flags.push('commentary');
+
+        const neighbours = [...lengths.slice(Math.max(0, i - 2), i), ...lengths.slice(i + 1, i + 3)]
+            .filter(length => length > 0)
+            .sort((a, b) => a - b);
+        if (neighbours.length > 0) {
+            const median = neighbours[Math.floor(neighbours.length / 2)];
+            if (median >= minChars && (lengths[i] < median * 0.4 || lengths[i] > median * 2.5)) flags.push('length-jump');
+        }
+        return flags;
+    });
+}
+
+// --- Page Data ---
+
+// Current text of every page: the reviewed correction if there is one, else the cached OCR result
+async function listPages() {
+    const { model, screenshotsDir } = getOcrDefaults();
+    const files = await getScreenshotFiles();
+    const corrections = loadCorrections(screenshotsDir);
+    const pages = [];
+    for (const [i, filename] of files.entries()) {
+        const hash = hashImage(await fs.readFile(path.join(screenshotsDir, filename)));
+        const correction = findCorrection(corrections, filename, hash);
+        const ocrText = correction ? null : await readCachedTranscription(filename, model);
+        // Pages only pdf.js has transcribed (with line positions) have just the layout result
+        const layoutText = correction || ocrText !== null ? null : await readCachedLayoutTranscription(filename, model);
+        const text = correction ? correction.text : ocrText ?? layoutText;
+        pages.push({
+            index: i + 1,
+            filename,
+            text,
+            source: correction ? 'corrected' : ocrText !== null ? 'ocr' : layoutText !== null ? 'layout' : 'none',
+            // A correction made for an earlier version of the image is ignored
+            staleCorrection: !correction && Boolean(corrections.pages[filename]),
+        });
+    }
+    const flags = flagSuspiciousPages(pages.map(page => page.text), { minChars: reviewMinChars });
+    return pages.map((page, i) => ({ ...page, flags: flags[i] }));
+}
+
+// --- HTTP Helpers ---
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+// Only JSON bodies: a web page can send other types (e.g. text/plain) to this server without a CORS preflight
+async function readJsonBody(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+        throw Object.assign(new Error('Content-Type must be application/json'), { status: 415 });
+    }
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    try {
+        return JSON.parse(body || '{}');
+    } catch {
+        throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+    }
+}
+
+// Only images in the screenshots directory can be addressed (no paths)
+async function resolvePageFile(filename) {
+    const file = path.join(getOcrDefaults().screenshotsDir, filename);
+    const exists = await fs.access(file).then(() => true, () => false);
+    if (path.basename(filename) !== filename || !filename.toLowerCase().endsWith('.png') || !exists) {
+        throw Object.assign(new Error(`Unknown page ${filename}`), { status: 404 });
+    }
+    return file;
+}
+
+// --- Request Handler ---
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (req.method === 'GET' && url.pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(reviewPage);
+        return;
+    }
+    if (req.method === 'GET' && parts[0] === 'images' && parts.length === 2) {
+        const file = await resolvePageFile(parts[1]);
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-cache' });
+        res.end(await fs.readFile(file));
+        return;
+    }
+    if (req.method === 'GET' && url.pathname === '/api/pages') {
+        const { model, prompt } = getOcrDefaults();
+        sendJson(res, 200, { model, prompt, pages: await listPages() });
+        return;
+    }
+
+    if (parts[0] === 'api' && parts[1] === 'pages' && parts.length >= 3) {
+        const filename = parts[2];
+        const file = await resolvePageFile(filename);
+        const { screenshotsDir } = getOcrDefaults();
+
+        if (req.method === 'PUT' && parts.length === 3) {
+            const { text } = await readJsonBody(req);
+            if (typeof text !== 'string') throw Object.assign(new Error('"text" must be a string'), { status: 400 });
+            const entry = saveCorrection(screenshotsDir, filename, text, hashImage(await fs.readFile(file)));
+            console.log(`Saved correction for ${filename} (${text.length} characters).`);
+            sendJson(res, 200, entry);
+            return;
+        }
+        if (req.method === 'DELETE' && parts.length === 3) {
+            const removed = removeCorrection(screenshotsDir, filename);
+            if (removed) console.log(`Removed correction for ${filename}.`);
+            sendJson(res, 200, { removed });
+            return;
+        }
+        if (req.method === 'POST' && parts[3] === 'ocr' && parts.length === 4) {
+            const { model, prompt, force = false } = await readJsonBody(req);
+            const defaults = getOcrDefaults();
+            const result = await transcribeImage(filename, model || defaults.model, { prompt: prompt || defaults.prompt, force });
+            sendJson(res, 200, result);
+            return;
+        }
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+}
+
+// --- Review Page (single-file UI) ---
+const reviewPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>OCR Review</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px system-ui, sans-serif; display: flex; height: 100vh; }
+  #sidebar { width: 260px; border-right: 1px solid #ccc; display: flex; flex-direction: column; }
+  #sidebar header { padding: 8px; border-bottom: 1px solid #ccc; }
+  #list { list-style: none; margin: 0; padding: 0; overflow-y: auto; flex: 1; }
+  #list li { padding: 4px 8px; cursor: pointer; border-bottom: 1px solid #eee; }
+  #list li.active { background: #dbeafe; }
+  .flag { display: inline-block; margin-left: 4px; padding: 0 4px; border-radius: 3px; background: #fde68a; font-size: 11px; }
+  .flag.corrected { background: #bbf7d0; }
+  main { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+  #toolbar { padding: 8px; border-bottom: 1px solid #ccc; display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+  #status { color: #555; }
+  #panes { flex: 1; display: flex; min-height: 0; }
+  #imagePane { flex: 1; overflow: auto; background: #f3f4f6; }
+  #imagePane img { max-width: 100%; display: block; margin: 0 auto; }
+  #textPane { flex: 1; display: flex; flex-direction: column; }
+  #text { flex: 1; font: 15px/1.5 Georgia, serif; padding: 12px; border: 0; resize: none; }
+  details { padding: 8px; border-top: 1px solid #ccc; }
+  details textarea { width: 100%; height: 120px; }
+</style>
+</head>
+<body>
+<nav id="sidebar">
+  <header>
+    <strong>OCR Review</strong><br>
+    <label><input type="checkbox" id="flaggedOnly"> Flagged pages only</label>
+  </header>
+  <ul id="list"></ul>
+</nav>
+<main>
+  <div id="toolbar">
+    <button id="prev" title="Previous page (Alt+Up)">&#9650;</button>
+    <button id="next" title="Next page (Alt+Down)">&#9660;</button>
+    <button id="save" title="Ctrl+S">Save correction</button>
+    <button id="revert">Revert to OCR</button>
+    <span id="status"></span>
+  </div>
+  <div id="panes">
+    <div id="imagePane"><img id="image" alt=""></div>
+    <div id="textPane">
+      <textarea id="text" spellcheck="true"></textarea>
+      <details>
+        <summary>Re-run OCR for this page</summary>
+        <label>Model <input id="model" size="30"></label>
+        <label><input type="checkbox" id="force"> Ignore cache</label>
+        <button id="rerun">Run OCR</button>
+        <textarea id="prompt"></textarea>
+      </details>
+    </div>
+  </div>
+</main>
+<script>
+  const $ = (id) => document.getElementById(id);
+  let pages = [];
+  let current = 0;
+  let dirty = false;
+
+  const api = async (method, url, body) => {
+    const response = await fetch(url, { method, headers: { 'Content-Type': 'application/json' }, body: body && JSON.stringify(body) });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    return data;
+  };
+  const setStatus = (message) => { $('status').textContent = message; };
+
+  function renderList() {
+    const list = $('list');
+    list.textContent = '';
+    pages.forEach((page, i) => {
+      if ($('flaggedOnly').checked && page.flags.length === 0 && i !== current) return;
+      const item = document.createElement('li');
+      item.textContent = page.index + '. ' + page.filename;
+      for (const flag of page.flags) {
+        const badge = document.createElement('span');
+        badge.className = 'flag';
+        badge.textContent = flag;
+        item.append(badge);
+      }
+      if (page.source === 'corrected') {
+        const badge = document.createElement('span');
+        badge.className = 'flag corrected';
+        badge.textContent = 'reviewed';
+        item.append(badge);
+      }
+      if (i === current) item.className = 'active';
+      item.onclick = () => show(i);
+      list.append(item);
+    });
+  }
+
+  function show(i) {
+    if (dirty && !confirm('Discard unsaved changes?')) return;
+    current = Math.max(0, Math.min(pages.length - 1, i));
+    const page = pages[current];
+    $('image').src = '/images/' + encodeURIComponent(page.filename);
+    $('text').value = page.text ?? '';
+    dirty = false;
+    const source = { corrected: 'reviewed text', ocr: 'OCR result', layout: 'line-by-line OCR result from pdf.js', none: 'no OCR result yet' }[page.source];
+    setStatus(page.filename + ': ' + source + (page.staleCorrection ? ' (a correction for an older version of this image is ignored)' : '') +
+      (page.flags.length ? ' | flags: ' + page.flags.join(', ') : ''));
+    renderList();
+  }
+
+  async function load(keepPosition) {
+    const data = await api('GET', '/api/pages');
+    pages = data.pages;
+    if (!$('model').value) $('model').value = data.model;
+    if (!$('prompt').value) $('prompt').value = data.prompt;
+    dirty = false;
+    show(keepPosition ? current : 0);
+  }
+
+  async function save() {
+    const page = pages[current];
+    try {
+      await api('PUT', '/api/pages/' + encodeURIComponent(page.filename), { text: $('text').value });
+      dirty = false;
+      await load(true);
+      setStatus('Saved correction for ' + page.filename);
+    } catch (error) { setStatus('Save failed: ' + error.message); }
+  }
+
+  $('text').oninput = () => { dirty = true; };
+  $('flaggedOnly').onchange = renderList;
+  $('prev').onclick = () => show(current - 1);
+  $('next').onclick = () => show(current + 1);
+  $('save').onclick = save;
+  $('revert').onclick = async () => {
+    const page = pages[current];
+    if (!confirm('Remove the reviewed text of ' + page.filename + '?')) return;
+    await api('DELETE', '/api/pages/' + encodeURIComponent(page.filename));
+    dirty = false;
+    await load(true);
+  };
+  $('rerun').onclick = async () => {
+    const page = pages[current];
+    setStatus('Running OCR for ' + page.filename + ' with ' + $('model').value + '...');
+    $('rerun').disabled = true;
+    try {
+      const result = await api('POST', '/api/pages/' + encodeURIComponent(page.filename) + '/ocr',
+        { model: $('model').value, prompt: $('prompt').value, force: $('force').checked });
+      $('text').value = result.text;
+      dirty = true;
+      setStatus('OCR result' + (result.cached ? ' (cached)' : '') + ' shown - not saved yet. Save it as correction to keep it.');
+    } catch (error) { setStatus('OCR failed: ' + error.message); }
+    $('rerun').disabled = false;
+  };
+  document.addEventListener('keydown', (event) => {
+    if ((event.ctrlKey || event.metaKey) && event.key === 's') { event.preventDefault(); save(); }
+    if (event.altKey && event.key === 'ArrowUp') { event.preventDefault(); show(current - 1); }
+    if (event.altKey && event.key === 'ArrowDown') { event.preventDefault(); show(current + 1); }
+  });
+  window.onbeforeunload = () => (dirty ? true : undefined);
+  load(false).catch(error => setStatus('Could not load pages: ' + error.message));
+</script>
+</body>
+</html>
+`;
+
+// --- Standalone Execution ---
+const isMainScript = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename);
+
+if (isMainScript) {
+    try {
+        validateOcrSettings();
+        if (isNaN(reviewPort) || reviewPort < 1 || reviewPort > 65535) throw new Error('REVIEW_PORT must be a port number.');
+        if (isNaN(reviewMinChars) || reviewMinChars < 0) throw new Error('REVIEW_MIN_CHARS must be a non-negative number.');
+    } catch (error) {
+        console.error('Configuration error:', error.message);
+        process.exit(1);
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            console.error(`${req.method} ${req.url}: ${error.message}`);
+            if (!res.headersSent) sendJson(res, error.status || 500, { error: error.message });
+            else res.end();
+        });
+    });
+    server.listen(reviewPort, reviewHost, () => {
+        console.log(`OCR review running at http://${reviewHost}:${reviewPort}/`);
+        console.log(`Corrections are saved to ${path.join(getOcrDefaults().screenshotsDir, CORRECTIONS_FILENAME)} and used by ocr.js, pdf.js and export.js.`);
+        console.log('Press Ctrl+C to stop.');
+    });
+}
@@ -0,0 +1,156 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { createOcrBackend } from '../ocr-backends.js';
+import { isTransientError } from '../ocr.js';
+
+// --- Stub Server ---
+// Records every request; `respond` decides the answer of the next ones
+const requests = [];
+let respond = null;
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+        respond(request, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const sendJson = (status, data) => (request, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+};
+// Never answers; the client has to abort
+const hang = () => {};
+
+const image = Buffer.from('not really a png');
+
+// --- Ollama ---
+
+test('ollama: posts the prompt and base64 image to /api/chat without auth', async () => {
+    requests.length = 0;
+    respond = sendJson(200, { model: 'm', message: { role: 'assistant', content: 'Page text' }, done: true });
+    const backend = createOcrBackend({ type: 'ollama', host: baseUrl });
+
+    const text = await backend.transcribe({ image, prompt: 'Transcribe', model: 'gemma3' });
+
+    assert.equal(text, 'Page text');
+    assert.equal(requests.length, 1);
+    const [request] = requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/api/chat');
+    assert.equal(request.headers.authorization, undefined);
+    assert.equal(request.body.model, 'gemma3');
+    assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Transcribe', images: [image.toString('base64')] }]);
+    assert.equal(backend.cacheModel('gemma3'), 'gemma3');
+});
+
+test('ollama: HTTP errors carry status_code', async () => {
+    respond = sendJson(503, { error: 'model is loading' });
+    const backend = createOcrBackend({ type: 'ollama', host: baseUrl });
+
+    await assert.rejects(backend.transcribe({ image, prompt: 'p', model: 'm' }), (error) => {
+        assert.equal(error.status_code, 503);
+        assert.match(error.message, /model is loading/);
+        return true;
+    });
+});
+
+test('ollama: the signal aborts a request that gets no answer', async () => {
+    respond = hang;
+    const backend = createOcrBackend({ type: 'ollama', host: baseUrl });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(backend.transcribe({ image, prompt: 'p', model: 'm', signal: controller.signal }), { name: 'AbortError' });
+});
+
+// --- OpenAI-compatible ---
+
+test('openai: posts a chat completion with the image as data URL and the API key', async () => {
+    requests.length = 0;
+    respond = sendJson(200, { choices: [{ message: { role: 'assistant', content: 'Page text' } }] });
+    const backend = createOcrBackend({ type: 'openai', host: `${baseUrl}/v1/`, apiKey: 'secret' });
+
+    const text = await backend.transcribe({ image, prompt: 'Transcribe', model: 'qwen' });
+
+    assert.equal(text, 'Page text');
+    const [request] = requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.body.model, 'qwen');
+    assert.equal(request.body.temperature, 0);
+    assert.deepEqual(request.body.messages, [{
+        role: 'user',
+        content: [
+            { type: 'text', text: 'Transcribe' },
+            { type: 'image_url', image_url: { url: `data:image/png;base64,${image.toString('base64')}` } },
+        ],
+    }]);
+    assert.equal(backend.cacheModel('qwen'), 'openai:qwen');
+});
+
+test('openai: sends no Authorization header without an API key', async () => {
+    requests.length = 0;
+    respond = sendJson(200, { choices: [{ message: { content: 'x' } }] });
+    await createOcrBackend({ type: 'openai', host: `${baseUrl}/v1` }).transcribe({ image, prompt: 'p', model: 'm' });
+
+    assert.equal(requests[0].headers.authorization, undefined);
+});
+
+test('openai: HTTP errors carry status and the start of the response body', async () => {
+    respond = sendJson(429, { error: { message: 'slow down' } });
+    const backend = createOcrBackend({ type: 'openai', host: `${baseUrl}/v1` });
+
+    await assert.rejects(backend.transcribe({ image, prompt: 'p', model: 'm' }), (error) => {
+        assert.equal(error.status, 429);
+        assert.match(error.message, /^HTTP 429 from .*\/v1\/chat\/completions: .*slow down/);
+        return true;
+    });
+});
+
+test('openai: an answer without choices is empty text', async () => {
+    respond = sendJson(200, {});
+    assert.equal(await createOcrBackend({ type: 'openai', host: `${baseUrl}/v1` }).transcribe({ image, prompt: 'p', model: 'm' }), '');
+});
+
+test('openai: the signal aborts a request that gets no answer', async () => {
+    respond = hang;
+    const backend = createOcrBackend({ type: 'openai', host: `${baseUrl}/v1` });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(backend.transcribe({ image, prompt: 'p', model: 'm', signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('adapter errors are classified for retries by status', async () => {
+    const failure = async (type, status) => {
+        respond = sendJson(status, { error: 'failed' });
+        const host = type === 'openai' ? `${baseUrl}/v1` : baseUrl;
+        return createOcrBackend({ type, host }).transcribe({ image, prompt: 'p', model: 'm' }).catch(error => error);
+    };
+    for (const type of ['ollama', 'openai']) {
+        assert.equal(isTransientError(await failure(type, 503)), true, `${type} 503`);
+        assert.equal(isTransientError(await failure(type, 429)), true, `${type} 429`);
+        assert.equal(isTransientError(await failure(type, 400)), false, `${type} 400`);
+    }
+});
+
+test('unknown backend types are rejected', () => {
+    assert.throws(() => createOcrBackend({ type: 'nope' }), /Unknown OCR backend "nope"/);
+});
@@ -0,0 +1,240 @@
+import { createTwoFilesPatch } from 'diff';
+
+// --- Configuration ---
+export const CLEANUP_RULES = ['whitespace', 'repeated-lines', 'dehyphenate', 'join-paragraphs', 'quotes'];
+// Rules applied by default: `quotes` rewrites the text itself, so it only runs when asked for
+export const DEFAULT_CLEANUP_RULES = CLEANUP_RULES.filter(rule => rule !== 'quotes');
+export const QUOTE_STYLES = ['straight', 'curly'];
+// Rules to apply: "all", "none" or a comma-separated list of CLEANUP_RULES (defaults to DEFAULT_CLEANUP_RULES)
+const cleanupRulesSetting = process.env.CLEANUP_RULES || DEFAULT_CLEANUP_RULES.join(',');
+const quoteStyle = process.env.CLEANUP_QUOTES || 'straight';
+// A line at the top or bottom of REPEAT_MIN_SHARE of the pages, and of at least this many, counts as a running header/footer
+const repeatMinPages = parseInt(process.env.CLEANUP_REPEAT_MIN_PAGES ?? '3', 10);
+// Below one half, so headers that alternate between left and right pages (book title, chapter title) still count
+const REPEAT_MIN_SHARE = 0.4;
+// Lines from each end of a page that are checked for running headers/footers
+const EDGE_LINES = 3;
+// Lines up to this length whose digits outnumber their letters are page numbers ("12", "- 12 -", "p. 12")
+const PAGE_NUMBER_MAX_LENGTH = 20;
+
+const HEADING_PATTERN = /^\s{0,3}#{1,6}\s/;
+// Lines that start a Markdown block other than a plain paragraph
+const BLOCK_START_PATTERN = /^\s*(#{1,6}\s|[-*+]\s|\d+[.)]\s|>|\||```|~~~|---|\*\*\*)/;
+// Characters that can end a paragraph (sentence ends, closing quotes and brackets)
+const PARAGRAPH_END_PATTERN = /[.!?:…"'”’»)\]]$/;
+
+// --- Settings (Exported) ---
+
+/**
+ * Parses a rule selection: "all", "none" or a comma-separated list of CLEANUP_RULES.
+ * @param {string} value - The selection.
+ * @returns {Set<string>} The enabled rules.
+ * @throws {Error} If a rule name is unknown.
+ */
+export function parseCleanupRules(value) {
+    const setting = String(value).trim().toLowerCase();
+    if (setting === 'all') return new Set(CLEANUP_RULES);
+    if (setting === 'none' || setting === '') return new Set();
+    const rules = setting.split(',').map(rule => rule.trim()).filter(Boolean);
+    const unknown = rules.filter(rule => !CLEANUP_RULES.includes(rule));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown cleanup rule(s) "${unknown.join(', ')}" (expected all, none or ${CLEANUP_RULES.join(', ')}).`);
+    }
+    return new Set(rules);
+}
+
+/**
+ * Validates the cleanup settings from the environment.
+ * @returns {{rules: Set<string>, quoteStyle: string, repeatMinPages: number}} Options for cleanupPages.
+ * @throws {Error} If a setting is invalid.
+ */
+export function getCleanupOptions() {
+    if (!QUOTE_STYLES.includes(quoteStyle)) {
+        throw new Error(`CLEANUP_QUOTES must be ${QUOTE_STYLES.join(' or ')} (got '${quoteStyle}').`);
+    }
+    if (isNaN(repeatMinPages) || repeatMinPages < 2) {
+        throw new Error('CLEANUP_REPEAT_MIN_PAGES must be a number of at least 2.');
+    }
+    return { rules: parseCleanupRules(cleanupRulesSetting), quoteStyle, repeatMinPages };
+}
+
+// --- Rules ---
+
+// Unicode spaces, trailing whitespace, runs of spaces inside lines and runs of blank lines
+function normalizeWhitespace(text) {
+    let changed = 0;
+    const lines = text.split('\n').map(line => {
+        const normalized = line
+            .replace(/[\u00a0\u2000-\u200a\u202f\u205f\u3000\t]/g, ' ')
+            .replace(/(\S) {2,}/g, '$1 ') // Leading indentation is kept, it matters for nested lists
+            .trimEnd();
+        if (normalized !== line) changed++;
+        return normalized;
+    });
+    return { text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(), changed };
+}
+
+// Key under which edge lines are compared: digits are ignored in page numbers only, so that
+// "Chapter 1" and "Chapter 2" or numbered list items are not mistaken for a running header
+function repeatKey(line) {
+    const trimmed = line.trim();
+    if (!/[\p{L}\p{N}]/u.test(trimmed)) return null; // Scene breaks like "* * *" are content
+    const key = trimmed.toLowerCase().replace(/[*_#>`]/g, '').replace(/\s+/g, ' ').trim();
+    const digits = (key.match(/\p{N}/gu) || []).length;
+    const letters = (key.match(/\p{L}/gu) || []).length;
+    const isPageNumber = !HEADING_PATTERN.test(line) && key.length <= PAGE_NUMBER_MAX_LENGTH && digits > letters;
+    return isPageNumber ? key.replace(/\d+/g, '#') : key;
+}
+
+// Line indices within EDGE_LINES non-empty lines of either end of the page
+function edgeLineIndices(lines) {
+    const nonEmpty = lines.map((line, i) => (line.trim() ? i : -1)).filter(i => i >= 0);
+    return new Set([...nonEmpty.slice(0, EDGE_LINES), ...nonEmpty.slice(-EDGE_LINES)]);
+}
+
+// Finds lines that appear at the top or bottom of many pages (REPEAT_MIN_SHARE of them, and at least minPages)
+function findRepeatedLines(pageTexts, minPages) {
+    const pageCount = pageTexts.filter(text => text !== null).length;
+    const threshold = Math.max(minPages, Math.ceil(pageCount * REPEAT_MIN_SHARE));
+    const pagesByKey = new Map();
+    pageTexts.forEach((text, page) => {
+        if (text === null) return;
+        const lines = text.split('\n');
+        for (const i of edgeLineIndices(lines)) {
+            const key = repeatKey(lines[i]);
+            if (!key) continue;
+            if (!pagesByKey.has(key)) pagesByKey.set(key, { example: lines[i].trim(), pages: new Set() });
+            pagesByKey.get(key).pages.add(page);
+        }
+    });
+    return new Map([...pagesByKey].filter(([, entry]) => entry.pages.size >= threshold));
+}
+
+function removeRepeatedLines(text, repeated) {
+    const lines = text.split('\n');
+    const edges = edgeLineIndices(lines);
+    const kept = lines.filter((line, i) => !(edges.has(i) && repeated.has(repeatKey(line))));
+    return { text: kept.join('\n').replace(/\n{3,}/g, '\n\n').trim(), changed: lines.length - kept.length };
+}
+
+// Rejoins words hyphenated at a line end within a page: "frag-\nment" -> "fragment"
+function dehyphenateLines(text) {
+    let changed = 0;
+    const result = text.replace(/(\p{L})-\n[ \t]*(\p{Ll})/gu, (match, before, after) => {
+        changed++;
+        return before + after;
+    });
+    return { text: result, changed };
+}
+
+const STRAIGHT_QUOTES = [[/[“”„‟″〝〞]/g, '"'], [/[‘’‚‛′]/g, "'"]];
+
+// Converts quotes to one style: plain ASCII quotes, or typographic quotes guessed from their context
+function normalizeQuotes(text, style) {
+    let changed = 0;
+    const replace = (pattern, replacement) => {
+        text = text.replace(pattern, (...args) => {
+            const result = typeof replacement === 'function' ? replacement(...args) : replacement;
+            if (result !== args[0]) changed++;
+            return result;
+        });
+    };
+
+    if (style === 'straight') {
+        for (const [pattern, replacement] of STRAIGHT_QUOTES) replace(pattern, replacement);
+    } else {
+        replace(/(\p{L})'(\p{L})/gu, (match, before, after) => `${before}’${after}`); // Apostrophes: don't, l'eau
+        replace(/(^|[\s([{—–-])'/gmu, (match, before) => `${before}‘`);
+        replace(/'/g, '’');
+        replace(/(^|[\s([{—–-])"/gmu, (match, before) => `${before}“`);
+        replace(/"/g, '”');
+    }
+    return { text, changed };
+}
+
+// --- Pipeline (Exported) ---
+
+/**
+ * Cleans up per-page OCR text and joins the pages into one Markdown document. Rules, in order:
+ * - whitespace: Unicode spaces, trailing and repeated spaces, runs of blank lines
+ * - repeated-lines: running headers, footers and page numbers found at the top or bottom of many pages
+ * - dehyphenate: words hyphenated at a line end or a page break
+ * - join-paragraphs: paragraphs split by a page break (previous page ends mid-sentence, or next starts lowercase)
+ * - quotes: one quote style throughout (not in DEFAULT_CLEANUP_RULES)
+ * @param {(string|null)[]} pageTexts - Page transcriptions in page order (null for failed pages).
+ * @param {object} [options]
+ * @param {Set<string>} [options.rules] - Enabled rules (defaults to DEFAULT_CLEANUP_RULES).
+ * @param {string} [options.quoteStyle='straight'] - One of QUOTE_STYLES.
+ * @param {number} [options.repeatMinPages=3] - Pages a line must repeat on to be removed, besides 40% of them.
+ * @param {(pageIndex: number) => string} [options.placeholder] - Text for failed pages (left out if not given); never joined with its neighbours.
+ * @returns {{markdown: string, changes: Object<string, number>, removedLines: {line: string, pages: number}[]}} The cleaned document, the number of changes per rule and the removed running headers/footers.
+ */
+export function cleanupPages(pageTexts, { rules = new Set(DEFAULT_CLEANUP_RULES), quoteStyle = 'straight', repeatMinPages = 3, placeholder = null } = {}) {
+    const changes = Object.fromEntries([...rules].map(rule => [rule, 0]));
+    const apply = (rule, text, fn) => {
+        if (!rules.has(rule) || text === null) return text;
+        const result = fn(text);
+        changes[rule] += result.changed;
+        return result.text;
+    };
+
+    let pages = pageTexts.map(text => (text === null ? null : text.trim()));
+    pages = pages.map(text => apply('whitespace', text, normalizeWhitespace));
+
+    let removedLines = [];
+    if (rules.has('repeated-lines')) {
+        const repeated = findRepeatedLines(pages, repeatMinPages);
+        removedLines = [...repeated.values()].map(entry => ({ line: entry.example, pages: entry.pages.size }));
+        pages = pages.map(text => apply('repeated-lines', text, page => removeRepeatedLines(page, repeated)));
+    }
+
+    pages = pages.map(text => apply('dehyphenate', text, dehyphenateLines));
+    pages = pages.map(text => apply('quotes', text, page => normalizeQuotes(page, quoteStyle)));
+
+    // Join the pages, mending paragraphs and words that a page break split
+    let markdown = '';
+    let previousIsText = false;
+    pages.forEach((text, i) => {
+        if (text === null) {
+            if (placeholder) markdown += `${markdown ? '\n\n' : ''}${placeholder(i)}`;
+            previousIsText = false;
+            return;
+        }
+        if (!text) return;
+        if (!markdown) {
+            markdown = text;
+            previousIsText = true;
+            return;
+        }
+
+        const lastLine = markdown.slice(markdown.lastIndexOf('\n') + 1);
+        const firstLine = text.split('\n', 1)[0];
+        const plainText = previousIsText && !BLOCK_START_PATTERN.test(lastLine) && !BLOCK_START_PATTERN.test(firstLine);
+        const hyphenated = plainText && /\p{L}-$/u.test(lastLine) && /^\p{Ll}/u.test(firstLine);
+        const continues = plainText && (!PARAGRAPH_END_PATTERN.test(lastLine.trim()) || /^\p{Ll}/u.test(firstLine));
+
+        if (hyphenated && rules.has('dehyphenate')) {
+            markdown = markdown.slice(0, -1) + text; // "frag-" + "ment" -> "fragment"
+            changes.dehyphenate++;
+        } else if (continues && rules.has('join-paragraphs')) {
+            markdown += ` ${text}`;
+            changes['join-paragraphs']++;
+        } else {
+            markdown += `\n\n${text}`;
+        }
+        previousIsText = true;
+    });
+
+    return { markdown, changes, removedLines };
+}
+
+/**
+ * Creates a unified diff between the raw and the cleaned Markdown.
+ * @param {string} before - The raw document.
+ * @param {string} after - The cleaned document.
+ * @param {string} [filename='ocr.md'] - Name shown in the diff header.
+ * @returns {string} The diff.
+ */
+export function cleanupDiff(before, after, filename = 'ocr.md') {
+    return createTwoFilesPatch(`${filename} (raw)`, `${filename} (cleaned)`, before, after, '', '', { context: 2 });
+}
@@ -0,0 +1,276 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Import reusable functions from ocr.js and pdf.js
+import {
+    runOcrJobs, parsePageRanges, validateOcrSettings, getOcrDefaults, createMarkdownWriter, formatDuration, EXIT_PAGES_FAILED,
+} from './ocr.js';
+import { createPdfBuilder, validatePdfSettings } from './pdf.js';
+import { getCleanupOptions } from './text-cleanup.js';
+import { loadManifest, orderPageFiles, readCaptureLock, isProcessRunning, CAPTURE_LOCK_FILENAME } from './manifest.js';
+import { parseFlag } from './profiles.js';
+
+// --- Configuration ---
+const __filename = fileURLToPath(import.meta.url);
+const WATCH_OUTPUTS = ['markdown', 'pdf'];
+const watchOutputs = (process.env.WATCH_OUTPUTS || WATCH_OUTPUTS.join(',')).split(',').map(output => output.trim().toLowerCase()).filter(Boolean);
+// How often the screenshots directory is checked for new pages
+const watchIntervalMs = parseInt(process.env.WATCH_INTERVAL_MS ?? '1000', 10);
+// Set by `cli.js live`: the capture process to follow, even before it has written its lock
+const capturePid = parseInt(process.env.WATCH_CAPTURE_PID ?? '0', 10);
+// Set by `cli.js live`: stdin carries the capture's output, which is printed above the status line
+const relayCaptureOutput = parseFlag(process.env.WATCH_CAPTURE_OUTPUT ?? false);
+const pagesSetting = process.env.PAGES || 'all';
+const ocrConcurrency = parseInt(process.env.OCR_CONCURRENCY ?? '1', 10);
+
+const INTERRUPTED_EXIT_CODE = 130;
+// Last 12 bytes of every complete PNG: the empty IEND chunk and its CRC
+const PNG_END = Buffer.from([0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- Page Detection ---
+
+// True if the file ends like a PNG; a screenshot that is still being written does not
+async function hasPngEnd(file) {
+    let handle;
+    try {
+        handle = await fs.open(file, 'r');
+        const { size } = await handle.stat();
+        if (size < PNG_END.length) return false;
+        const tail = Buffer.alloc(PNG_END.length);
+        await handle.read(tail, 0, PNG_END.length, size - PNG_END.length);
+        return tail.equals(PNG_END);
+    } catch (error) {
+        return false;
+    } finally {
+        await handle?.close();
+    }
+}
+
+/**
+ * Lists the screenshots of a directory in page order and tells which are completely written:
+ * recorded in the manifest (move-shot.js records a page after writing it), or ending like a PNG
+ * with the same size as at the previous check.
+ * @param {string} dir - The screenshots directory.
+ * @param {Map<string, number>} previousSizes - File sizes seen at the previous check (updated in place).
+ * @param {Set<string>} [known] - Files already known to be complete, which are not checked again.
+ * @returns {Promise<{files: string[], complete: Set<string>}>} All PNG files in page order and the complete ones (except known ones).
+ */
+export async function scanPages(dir, previousSizes, known = new Set()) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return { files: [], complete: new Set() }; // Capture hasn't created it yet
+        throw error;
+    }
+    const pngFiles = entries.filter(file => file.toLowerCase().endsWith('.png'));
+    let manifest;
+    try {
+        manifest = loadManifest(dir);
+    } catch (error) {
+        manifest = { pages: [] }; // Being replaced right now; the next check reads it
+    }
+    const { ordered } = orderPageFiles(pngFiles, manifest);
+    const recorded = new Set(manifest.pages.map(page => page.filename));
+
+    const complete = new Set();
+    for (const file of ordered.filter(file => !known.has(file))) {
+        const fullPath = path.join(dir, file);
+        const size = (await fs.stat(fullPath).catch(() => null))?.size;
+        const stable = size !== undefined && previousSizes.get(file) === size;
+        previousSizes.set(file, size);
+        if (recorded.has(file) || (stable && await hasPngEnd(fullPath))) complete.add(file);
+    }
+    return { files: ordered, complete };
+}
+
+// --- Main Watch Function (Exported) ---
+
+/**
+ * Follows a running capture: OCRs new screenshots in page order as soon as they are completely
+ * written and appends them to the Markdown and/or PDF output. Ends when the capture has ended and
+ * every page is done, or on Ctrl+C (the first finishes the pages already captured, the second
+ * stops after the pages in progress). Sets process.exitCode like ocr.js, or to 130 when stopped early.
+ * @returns {Promise<void>}
+ */
+export async function watchCapture() {
+    let isForcedPage;
+    let isSelectedPage;
+    let cleanupOptions;
+    let model;
+    let screenshotsDir;
+    try {
+        const unknown = watchOutputs.filter(output => !WATCH_OUTPUTS.includes(output));
+        if (watchOutputs.length === 0 || unknown.length > 0) {
+            throw new Error(`WATCH_OUTPUTS must list ${WATCH_OUTPUTS.join(' and/or ')} (got '${watchOutputs.join(',')}').`);
+        }
+        if (isNaN(watchIntervalMs) || watchIntervalMs < 100) {
+            throw new Error('WATCH_INTERVAL_MS must be a number of at least 100.');
+        }
+        validateOcrSettings();
+        if (watchOutputs.includes('pdf')) validatePdfSettings();
+        isForcedPage = parsePageRanges(process.env.OCR_FORCE_PAGES);
+        isSelectedPage = parsePageRanges(pagesSetting);
+        cleanupOptions = getCleanupOptions();
+        ({ model, screenshotsDir } = getOcrDefaults());
+    } catch (error) {
+        console.error('Configuration error:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    // One status line, redrawn in place on a terminal: the per-page messages of OCR, Markdown and PDF
+    // are hidden until the final summaries; warnings and errors are printed above the status line
+    const isTerminal = Boolean(process.stdout.isTTY);
+    let statusLine = '';
+    let quiet = true;
+    const aboveStatus = (print) => (...args) => {
+        if (isTerminal && statusLine) process.stdout.write('\r\x1b[K');
+        print(...args);
+        if (isTerminal && statusLine) process.stdout.write(statusLine);
+    };
+    const logger = {
+        log: (...args) => { if (!quiet) console.log(...args); },
+        warn: aboveStatus(console.warn),
+        error: aboveStatus(console.error),
+    };
+    const showStatus = (line) => {
+        if (!isTerminal) {
+            console.log(line);
+            return;
+        }
+        statusLine = line;
+        process.stdout.write(`\r\x1b[K${line}`);
+    };
+    const endStatus = () => {
+        if (isTerminal && statusLine) process.stdout.write('\n');
+        statusLine = '';
+        quiet = false;
+    };
+    if (relayCaptureOutput) {
+        process.stdin.on('data', aboveStatus(chunk => process.stdout.write(chunk)));
+        process.stdin.unref(); // The capture's output ends with the capture; it doesn't keep the watch running
+    }
+
+    let markdownWriter = null;
+    let pdfBuilder = null;
+    try {
+        if (watchOutputs.includes('markdown')) markdownWriter = await createMarkdownWriter({ cleanupOptions, logger });
+        if (watchOutputs.includes('pdf')) pdfBuilder = await createPdfBuilder({ screenshotsDir, logger });
+    } catch (error) {
+        console.error('Configuration error:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    // First Ctrl+C: take no new pages, finish the captured ones. Second: stop after the pages in progress.
+    let interrupts = 0;
+    process.on('SIGINT', () => {
+        interrupts++;
+        aboveStatus(console.log)(interrupts === 1
+            ? '\n[watch] Ctrl+C: finishing the pages captured so far (press Ctrl+C again to stop sooner)...'
+            : '\n[watch] Ctrl+C: stopping after the pages in progress...');
+    });
+
+    console.log(`[watch] Watching ${screenshotsDir} (outputs: ${watchOutputs.join(', ')}, model ${model}).`);
+    console.log(`[watch] Waiting for a capture (${CAPTURE_LOCK_FILENAME}) to start, or for new screenshots. Press Ctrl+C to finish.`);
+
+    const startedAt = Date.now();
+    const sizes = new Map();
+    const done = new Set();
+    const results = [];
+    let failedRuns = 0;
+    let captureSeen = capturePid > 0; // Started together with the capture by `cli.js live`
+    let files = [];
+
+    const captureRunning = () => {
+        const lock = readCaptureLock(screenshotsDir);
+        return Boolean((lock && lock.running) || (capturePid > 0 && isProcessRunning(capturePid)));
+    };
+
+    const progressLine = (captureState) => {
+        const failed = results.filter(result => result.text === null).length;
+        const waiting = files.filter(file => !done.has(file)).length;
+        return `[watch] Captured ${files.length} | OCR'd ${results.length} (${failed} failed) | waiting ${waiting}` +
+            `${pdfBuilder ? ` | PDF ${pdfBuilder.pagesAdded()} page(s)` : ''} | capture ${captureState} | elapsed ${formatDuration(Date.now() - startedAt)}`;
+    };
+
+    while (interrupts < 2) {
+        const running = captureRunning();
+        if (running) captureSeen = true;
+        const captureEnded = (captureSeen && !running) || interrupts > 0;
+
+        const scan = await scanPages(screenshotsDir, sizes, done);
+        files = scan.files;
+
+        // Next pages in page order; a page that is still being written holds back the ones after it
+        const batch = [];
+        for (const [index, file] of files.entries()) {
+            if (done.has(file)) continue;
+            if (!isSelectedPage(index + 1)) {
+                done.add(file);
+                continue;
+            }
+            if (!scan.complete.has(file)) {
+                if (!captureEnded) break;
+                if (!await hasPngEnd(path.join(screenshotsDir, file))) {
+                    logger.warn(`[watch] Skipping ${file}: the capture has ended but the file is incomplete.`);
+                    done.add(file);
+                    continue;
+                }
+            }
+            batch.push({ file, page: index + 1 });
+            if (batch.length >= Math.max(1, ocrConcurrency)) break; // Small batches, so a second Ctrl+C stops soon
+        }
+
+        if (batch.length === 0) {
+            if (captureEnded && files.every(file => done.has(file))) break;
+            await sleep(watchIntervalMs);
+            continue;
+        }
+
+        // One OCR run feeds both outputs: with line positions when the PDF needs them
+        const batchFiles = batch.map(({ file }) => file);
+        const run = await runOcrJobs(batchFiles, {
+            model,
+            layout: Boolean(pdfBuilder?.layout),
+            isForcedPage,
+            pageNumbers: batch.map(({ page }) => page),
+            logger,
+            onProgress: () => {},
+            onPageReady: async (result) => {
+                if (markdownWriter) await markdownWriter.addPage(result);
+                if (pdfBuilder) await pdfBuilder.addPage(result);
+            },
+        });
+        if (run.report.failed.length > 0) failedRuns++;
+        results.push(...run.results);
+        batchFiles.forEach(file => done.add(file));
+        showStatus(progressLine(running ? 'running' : captureSeen ? 'ended' : 'not running'));
+    }
+    endStatus();
+
+    const stoppedEarly = files.some(file => !done.has(file));
+    if (stoppedEarly) {
+        console.log(`[watch] Stopped with ${files.filter(file => !done.has(file)).length} page(s) not processed; run ocr.js or pdf.js to add them.`);
+    }
+    if (markdownWriter) await markdownWriter.finish();
+    if (pdfBuilder) await pdfBuilder.finish();
+    console.log(progressLine(captureSeen ? 'ended' : 'not running'));
+
+    if (stoppedEarly) process.exitCode = INTERRUPTED_EXIT_CODE;
+    else if (failedRuns > 0) process.exitCode = EXIT_PAGES_FAILED;
+}
+
+// --- Standalone Execution Check ---
+const isMainScript = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename);
+
+if (isMainScript) {
+    watchCapture().catch((error) => {
+        console.error('\n[watch] Error:', error.message);
+        process.exitCode = 1;
+    });
+}